@@ -0,0 +1,240 @@
+// Local test server for ArmanLeads.com
+// Serves the site and accepts every form POST (lead form, exit-intent capture, fallback
+// scheduler), checking the `bot_signals` bundle the way the production endpoint should.
+//
+//   node dev-server.js            # http://localhost:8080
+//   PORT=3000 node dev-server.js
+//
+// Each form POST answers { ok, id, verdict: 'accept' | 'review' | 'reject', reasons } and is logged.
+// The analytics, lead-log and error beacons (/_track, /log-form, /_errlog) are acknowledged
+// without bot checks.
+// GET /_pow/challenge issues the signed proof-of-work challenges the forms solve. Set
+// POW_SECRET to keep challenges valid across restarts (queued offline leads carry old ones).
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8080;
+const ROOT = __dirname;
+const MAX_BODY = 1024 * 1024;
+
+// Keep in step with BOT_MIN_FILL_MS and POW_DIFFICULTY in script.js
+const MIN_FILL_MS = 3000;
+const DIFFICULTY = 14;
+// Time from issuing a challenge to the submission's first attempt, not to this request:
+// leads queued offline are replayed hours or days later with the same signals
+const CHALLENGE_MAX_AGE = 2 * 60 * 60 * 1000;
+const MAX_QUEUED_AGE = 30 * 24 * 60 * 60 * 1000;
+const POW_SECRET = process.env.POW_SECRET || crypto.randomBytes(32).toString('hex');
+const BEACON_PATHS = ['/_track', '/_errlog', '/log-form'];
+// Idempotent answers and spent challenges kept in memory, oldest dropped first
+const MAX_REMEMBERED = 1000;
+const SOFT_FLAGS = ['disposable_email', 'gibberish_practice_name', 'gibberish_challenge', 'webdriver', 'synthetic_events', 'no_pow'];
+
+const TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.ico': 'image/x-icon'
+};
+
+// challenge -> idempotency key of the submission that spent it
+const usedChallenges = new Map();
+const responses = new Map();
+
+function remember(map, key, value) {
+    map.delete(key);
+    map.set(key, value);
+    if (map.size > MAX_REMEMBERED) map.delete(map.keys().next().value);
+}
+
+function zeroBits(buffer) {
+    let bits = 0;
+    for (const byte of buffer) {
+        if (byte === 0) { bits += 8; continue; }
+        bits += Math.clz32(byte) - 24;
+        break;
+    }
+    return bits;
+}
+
+function sign(value) {
+    return crypto.createHmac('sha256', POW_SECRET).update(value).digest('hex').slice(0, 32);
+}
+
+// "<issued ms>.<random>.<signature>"
+function issueChallenge(now = Date.now()) {
+    const payload = `${now}.${crypto.randomBytes(12).toString('hex')}`;
+    return { challenge: `${payload}.${sign(payload)}`, difficulty: DIFFICULTY };
+}
+
+// Recomputes the proof of work and rejects foreign, stale or reused challenges.
+// `firstSentAt` is when the submission was first attempted, in server time.
+function checkProofOfWork(pow, { firstSentAt = Date.now(), key = null } = {}) {
+    if (!pow) return 'no_pow';
+    const [issued, random, signature] = String(pow.challenge || '').split('.');
+    if (!signature || sign(`${issued}.${random}`) !== signature) return 'pow_unknown_challenge';
+    const age = firstSentAt - Number(issued);
+    // A first attempt before the challenge existed means a made-up Submission-Age
+    if (age < -60000) return 'pow_age_mismatch';
+    if (age > CHALLENGE_MAX_AGE) return 'pow_expired';
+    const spentBy = usedChallenges.get(pow.challenge);
+    if (spentBy && spentBy !== key) return 'pow_replayed';
+    const digest = crypto.createHash('sha256').update(`${pow.challenge}:${pow.nonce}`).digest();
+    if (digest.toString('hex') !== pow.hash || zeroBits(digest) < DIFFICULTY) return 'pow_invalid';
+    remember(usedChallenges, pow.challenge, key);
+    return null;
+}
+
+function verify(fields, context = {}) {
+    const hard = [];
+    const soft = [];
+    if (fields.website_url) hard.push('honeypot');
+
+    let signals = null;
+    try {
+        signals = JSON.parse(fields.bot_signals || 'null');
+    } catch (e) { /* reported below */ }
+    if (!signals) {
+        hard.push('missing_signals');
+    } else {
+        const powProblem = checkProofOfWork(signals.pow, context);
+        if (powProblem === 'no_pow') soft.push(powProblem);
+        else if (powProblem) hard.push(powProblem);
+
+        const interactions = signals.interactions || {};
+        const human = (interactions.keys || 0) + (interactions.pointer || 0) + (interactions.touch || 0) > 0;
+        if (!human) hard.push('no_interaction');
+        if (!(signals.elapsed_ms >= MIN_FILL_MS)) (human ? soft : hard).push('fast_fill');
+        (signals.flags || []).filter(flag => SOFT_FLAGS.includes(flag) && !soft.includes(flag)).forEach(flag => soft.push(flag));
+    }
+
+    const verdict = hard.length ? 'reject' : soft.length ? 'review' : 'accept';
+    return { verdict, reasons: hard.concat(soft) };
+}
+
+function parseMultipart(body, boundary) {
+    const fields = {};
+    body.toString('utf8').split(`--${boundary}`).forEach(part => {
+        const split = part.indexOf('\r\n\r\n');
+        if (split === -1) return;
+        const name = /name="([^"]*)"/.exec(part.slice(0, split));
+        if (!name || /filename="/.test(part.slice(0, split))) return;
+        const value = part.slice(split + 4).replace(/\r\n$/, '');
+        fields[name[1]] = fields[name[1]] === undefined ? value : [].concat(fields[name[1]], value);
+    });
+    return fields;
+}
+
+function parseBody(req, body) {
+    const type = req.headers['content-type'] || '';
+    const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(type);
+    if (type.startsWith('multipart/form-data') && boundary) return parseMultipart(body, boundary[1] || boundary[2]);
+    if (type.startsWith('application/json')) return JSON.parse(body.toString('utf8') || '{}');
+    return Object.fromEntries(new URLSearchParams(body.toString('utf8')));
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(data));
+}
+
+function handlePost(req, res) {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY) {
+            sendJson(res, 413, { ok: false, error: 'Payload too large' });
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => {
+        if (res.writableEnded) return;
+        let fields;
+        try {
+            fields = parseBody(req, Buffer.concat(chunks));
+        } catch (e) {
+            sendJson(res, 400, { ok: false, error: 'Unreadable body' });
+            return;
+        }
+
+        const pathname = req.url.split('?')[0];
+        if (BEACON_PATHS.includes(pathname)) {
+            const count = Array.isArray(fields.events) ? fields.events.length : 1;
+            console.log(`[${new Date().toISOString()}] beacon ${pathname} (${count} ${count === 1 ? 'entry' : 'entries'})`);
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        // Retries of a queued submission carry the same key and get the same answer
+        const clientKey = req.headers['idempotency-key'] || fields.idempotency_key;
+        const id = clientKey || crypto.randomUUID();
+        if (responses.has(id)) {
+            sendJson(res, 200, { ...responses.get(id), duplicate: true });
+            return;
+        }
+
+        // Submission-Age (ms since the first attempt) is set by the page's submission queue
+        const queuedFor = Math.min(MAX_QUEUED_AGE, Math.max(0, Number(req.headers['submission-age']) || 0));
+        const result = { ok: true, id, ...verify(fields, { firstSentAt: Date.now() - queuedFor, key: id }) };
+        if (clientKey) remember(responses, id, result);
+        console.log(`[${new Date().toISOString()}] POST ${req.url} ${result.verdict}${result.reasons.length ? ` (${result.reasons.join(', ')})` : ''}`);
+        console.log(`  ${JSON.stringify({ ...fields, bot_signals: undefined, attribution: undefined })}`);
+        sendJson(res, 200, result);
+    });
+}
+
+// Static files; extensionless paths (market pages such as /omaha/chiropractic/) get index.html
+function handleGet(req, res) {
+    const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (e) {
+        res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Bad request');
+        return;
+    }
+    let file = path.normalize(path.join(ROOT, decoded));
+    if (!file.startsWith(ROOT) || path.basename(file) === path.basename(__filename)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+    if (!path.extname(file)) file = path.join(ROOT, 'index.html');
+
+    fs.readFile(file, (error, data) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': TYPES[path.extname(file)] || 'application/octet-stream', 'Cache-Control': 'no-cache' });
+        res.end(req.method === 'HEAD' ? undefined : data);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    if (req.method === 'POST') handlePost(req, res);
+    else if (req.method === 'GET' && req.url.split('?')[0] === '/_pow/challenge') sendJson(res, 200, issueChallenge());
+    else if (req.method === 'GET' || req.method === 'HEAD') handleGet(req, res);
+    else sendJson(res, 405, { ok: false, error: 'Method not allowed' });
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => console.log(`ArmanLeads dev server on http://localhost:${PORT}`));
+}
+
+module.exports = { server, verify, checkProofOfWork, issueChallenge };
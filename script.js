@@ -82,13 +82,27 @@
 
     // Focus trap utility for modals
     const FOCUSABLE = 'a[href], button, textarea, input, select, [tabindex]:not([tabindex="-1"])';
+
+    // Queried on demand so content swapped in after opening is still reachable
+    function getFocusable(container) {
+        return Array.from(container.querySelectorAll(FOCUSABLE)).filter(el => (
+            !el.disabled && !el.closest('[hidden], [inert]') && el.getClientRects().length > 0
+        ));
+    }
+
     function trapFocus(container, start = true) {
-        const focusable = Array.from(container.querySelectorAll(FOCUSABLE));
-        if (!focusable.length) return () => {};
-        const first = focusable[0], last = focusable[focusable.length - 1];
         function handleTab(e) {
             if (e.key !== 'Tab') return;
-            if (e.shiftKey && document.activeElement === first) {
+            const focusable = getFocusable(container);
+            if (!focusable.length) {
+                e.preventDefault();
+                return;
+            }
+            const first = focusable[0], last = focusable[focusable.length - 1];
+            if (!container.contains(document.activeElement)) {
+                e.preventDefault();
+                first.focus();
+            } else if (e.shiftKey && document.activeElement === first) {
                 e.preventDefault();
                 last.focus();
             } else if (!e.shiftKey && document.activeElement === last) {
@@ -121,710 +135,5391 @@
         return new IntersectionObserver(callback, { ...defaultOptions, ...options });
     }
 
-    // Enhanced error handling with robust telemetry
-    function handleError(error, context='unknown') {
-        try {
-            const payload = {
-                ts: new Date().toISOString(),
-                context,
-                message: error && error.message ? error.message : String(error),
-                stack: error && error.stack ? error.stack : null,
-                url: location.href,
-                userAgent: navigator.userAgent
-            };
-            
-            console.error(`ArmanLeads Error [${context}]:`, error);
-            
-            // Send to analytics if configured
-            if (window.gtag && typeof window.gtag === 'function') {
-                try {
-                    window.gtag('event', 'exception', {
-                        description: `${context}: ${payload.message}`,
-                        fatal: false
-                    });
-                } catch (e) {
-                    console.warn('Analytics error:', e);
-                }
+    // Localization: message catalogs, plural rules and Intl formatting for the
+    // text this script renders. Static page copy stays in the HTML.
+    const CONTACT_EMAIL = 'hello@armanleads.com';
+    const LOCALE_STORAGE_KEY = 'armanleads:locale';
+    const DEFAULT_LOCALE = 'en';
+
+    // Language names as their speakers write them, and the Intl tag for each
+    const LOCALES = {
+        en: { name: 'English', tag: 'en-US' },
+        es: { name: 'Español', tag: 'es-US' }
+    };
+
+    // Values are strings, or objects keyed by Intl.PluralRules category and
+    // picked with the `count` parameter. {{email}} is always available.
+    const MESSAGES = {
+        en: {
+            'validation.required': '{{label}} is required.',
+            'validation.minSelected': {
+                one: 'Please choose at least one {{label}}.',
+                other: 'Please choose at least {{count}} {{label}}.'
+            },
+            'validation.email': 'Please enter a valid email address.',
+            'validation.disposableEmail': 'Please use an email address you check regularly, not a temporary inbox.',
+            'validation.usPhone': 'Please enter a valid US phone number, including area code.',
+            'validation.minLength': '{{label}} must be at least {{min}} characters.',
+            'validation.maxLength': '{{label}} must be {{max}} characters or fewer.',
+            'validation.practiceNameNotContact': 'Please enter your practice name, not an email or web address.',
+            'validation.practiceName': 'Please enter the name of your practice.',
+            'validation.practiceNameEmail': 'Practice name and email address should be different.',
+            'validation.summary': {
+                one: 'Please fix the following problem:',
+                other: 'Please fix the following {{count}} problems:'
+            },
+
+            'field.monthlyNewPatients': 'New patients per month',
+            'field.adSpend': 'Monthly ad spend',
+            'field.services': 'Service',
+            'field.practiceName': 'Practice name',
+            'field.email': 'Email address',
+            'field.phone': 'Phone number',
+            'field.challenge': 'Biggest challenge',
+            'field.callTime': 'Call time',
+            'field.name': 'Your name',
+
+            'wizard.progress': 'Form progress',
+            'wizard.step': 'Step {{number}}',
+            'wizard.status': 'Step {{number}} of {{total}}: {{label}}',
+            'wizard.back': 'Back',
+            'wizard.next': 'Continue',
+
+            'form.rateLimited': 'Please wait a few seconds before trying again.',
+            'form.sending': 'Sending...',
+            'form.offlineSaved': 'You appear offline. We saved your submission and will retry automatically when online.',
+            'form.connectionIssue': 'Connection issue. Please try again or email {{email}}',
+            'form.sendError': 'Error sending form. Please try again or email {{email}}',
+
+            'lead.high': 'You\'re a great fit. Pick a time for your strategy call now; your market analysis follows by email.',
+            'lead.medium': 'Thanks! Your market analysis will arrive by email within 24 hours. Want to walk through it together? Book a strategy call below.',
+            'lead.low': 'Thanks! Your market analysis will arrive by email within 24 hours.',
+
+            'scheduler.loading': 'Loading available times...',
+            'scheduler.unavailable': 'Unable to load the calendar. Please contact us directly.',
+            'scheduler.title': 'Pick a time for your strategy call',
+            'scheduler.note': 'The calendar didn\'t load, so you can book here instead. Times are shown in your timezone ({{zone}}).',
+            'scheduler.day': 'Day',
+            'scheduler.time': 'Time',
+            'scheduler.name': 'Your name',
+            'scheduler.email': 'Email',
+            'scheduler.phone': 'Phone (optional)',
+            'scheduler.submit': 'Request This Time',
+            'scheduler.bookError': 'We couldn\'t book that time. Please pick another or email {{email}}',
+            'scheduler.received': 'Request received',
+            'scheduler.when': '{{date}} at {{time}}',
+            'scheduler.confirmed': 'We\'ve got you down for {{when}}. You\'ll get a confirmation email shortly.',
+            'scheduler.queued': 'You appear offline. We saved your request for {{when}}. You\'ll get a confirmation email shortly.',
+            'scheduler.addToCalendar': 'Add to Calendar (.ics)',
+            'scheduler.eventSummary': 'Arman Leads Strategy Call',
+            'scheduler.eventDescription': 'Strategy call about your practice\'s patient acquisition. Questions? {{email}}',
+
+            'calendly.bookedTitle': 'You\'re booked!',
+            'calendly.bookedText': 'Check your inbox for the calendar invite. I\'ll review your local market before we talk.',
+            'calendly.done': 'Done',
+
+            'consent.label': 'Cookie consent',
+            'consent.text': 'We use cookies to measure our ads and improve this site. Necessary storage keeps your form submissions safe; analytics and marketing are optional.',
+            'consent.reject': 'Reject optional',
+            'consent.preferences': 'Preferences',
+            'consent.accept': 'Accept all',
+            'consent.title': 'Privacy preferences',
+            'consent.necessary': 'Necessary',
+            'consent.necessaryText': 'Required for the site and your form submissions to work.',
+            'consent.analytics': 'Analytics',
+            'consent.analyticsText': 'Usage and error reports that help us improve the site.',
+            'consent.marketing': 'Marketing',
+            'consent.marketingText': 'Google Ads measurement of which campaigns bring in practices.',
+            'consent.cancel': 'Cancel',
+            'consent.save': 'Save preferences',
+
+            'roi.title': 'Run Your Own Numbers:',
+            'roi.ltv': 'Patient lifetime value ($)',
+            'roi.patients': 'New patient leads per month',
+            'roi.close': 'Close rate (%)',
+            'roi.spend': 'Monthly ad spend ($)',
+            'roi.newPatients': 'New patients per month',
+            'roi.monthlyValue': 'Monthly patient value',
+            'roi.monthlyCost': 'Your monthly investment',
+            'roi.breakEven': 'Break-even',
+            'roi.share': 'Copy a link to these numbers',
+            'roi.costDetail': '{{monthly}} ({{firstMonth}} in month one, including the {{setup}} setup)',
+            'roi.needLtv': 'Enter a patient lifetime value',
+            'roi.breakEvenPatients': { one: '{{count}} patient a month', other: '{{count}} patients a month' },
+            'roi.breakEvenLeads': ' (about {{count}} leads)',
+            'roi.breakEvenFirstMonth': ', {{count}} in month one',
+            'roi.result': 'ROI: {{roi}}%',
+            'roi.resultNone': 'ROI: n/a',
+            'roi.monthsPerPatient': ' (One patient pays for {{count}} months of service)',
+            'roi.announce': 'Monthly patient value {{value}}, ROI {{roi}} percent.',
+            'roi.announceNone': 'Monthly patient value {{value}}, ROI not available.',
+            'roi.copied': 'Link copied to your clipboard.',
+            'roi.copyManually': 'Copy this link to share your numbers: {{url}}',
+
+            'availability.spots': { one: '{{count}} spot', other: '{{count}} spots' },
+            'availability.startDate': 'Next available start date: {{date}}',
+            'availability.nextCall': 'Next available: {{when}}',
+
+            'faq.search': 'Search questions',
+            'faq.searchPlaceholder': 'Search questions...',
+            'faq.matches': {
+                one: '{{count}} question matches "{{term}}".',
+                other: '{{count}} questions match "{{term}}".'
+            },
+            'faq.noMatches': 'No questions match. Email {{email}} and I\'ll answer directly.',
+            'faq.helpful': 'Was this helpful?',
+            'faq.yes': 'Yes',
+            'faq.no': 'No',
+            'faq.thanks': 'Thanks for the feedback.',
+
+            'locale.label': 'Language',
+
+            'update.available': 'A new version of this page is available.',
+            'update.reload': 'Refresh',
+            'update.dismiss': 'Not now',
+
+            'capture.title': 'Before you go: want the 7-page market analysis?',
+            'capture.text': 'See how your practice stacks up against local competitors and which searches you\'re missing. Free, in your inbox within 24 hours.',
+            'capture.placeholder': 'Email address',
+            'capture.submit': 'Send Me the Analysis',
+            'capture.dismiss': 'No thanks',
+            'capture.close': 'Close',
+            'capture.thanks': 'Done! Your analysis will arrive within 24 hours.'
+        },
+        es: {
+            'validation.required': '{{label}}: este campo es obligatorio.',
+            'validation.minSelected': {
+                one: 'Elige al menos una opción de {{label}}.',
+                other: 'Elige al menos {{count}} opciones de {{label}}.'
+            },
+            'validation.email': 'Introduce un correo electrónico válido.',
+            'validation.disposableEmail': 'Usa un correo que revises con frecuencia, no una bandeja temporal.',
+            'validation.usPhone': 'Introduce un número de teléfono de EE. UU. válido, con código de área.',
+            'validation.minLength': '{{label}} debe tener al menos {{min}} caracteres.',
+            'validation.maxLength': '{{label}} debe tener como máximo {{max}} caracteres.',
+            'validation.practiceNameNotContact': 'Escribe el nombre de tu consulta, no un correo ni una dirección web.',
+            'validation.practiceName': 'Escribe el nombre de tu consulta.',
+            'validation.practiceNameEmail': 'El nombre de la consulta y el correo electrónico deben ser distintos.',
+            'validation.summary': {
+                one: 'Corrige el siguiente problema:',
+                other: 'Corrige los siguientes {{count}} problemas:'
+            },
+
+            'field.monthlyNewPatients': 'Pacientes nuevos al mes',
+            'field.adSpend': 'Inversión mensual en anuncios',
+            'field.services': 'Servicio',
+            'field.practiceName': 'Nombre de la consulta',
+            'field.email': 'Correo electrónico',
+            'field.phone': 'Número de teléfono',
+            'field.challenge': 'Mayor desafío',
+            'field.callTime': 'Hora de la llamada',
+            'field.name': 'Tu nombre',
+
+            'wizard.progress': 'Progreso del formulario',
+            'wizard.step': 'Paso {{number}}',
+            'wizard.status': 'Paso {{number}} de {{total}}: {{label}}',
+            'wizard.back': 'Atrás',
+            'wizard.next': 'Continuar',
+
+            'form.rateLimited': 'Espera unos segundos antes de volver a intentarlo.',
+            'form.sending': 'Enviando...',
+            'form.offlineSaved': 'Parece que no tienes conexión. Guardamos tu envío y lo reintentaremos automáticamente cuando vuelvas a estar en línea.',
+            'form.connectionIssue': 'Problema de conexión. Inténtalo de nuevo o escribe a {{email}}',
+            'form.sendError': 'Error al enviar el formulario. Inténtalo de nuevo o escribe a {{email}}',
+
+            'lead.high': 'Encajas muy bien. Elige ahora un horario para tu llamada estratégica; tu análisis de mercado llegará por correo.',
+            'lead.medium': '¡Gracias! Recibirás tu análisis de mercado por correo en menos de 24 horas. ¿Quieres revisarlo juntos? Reserva una llamada estratégica abajo.',
+            'lead.low': '¡Gracias! Recibirás tu análisis de mercado por correo en menos de 24 horas.',
+
+            'scheduler.loading': 'Cargando horarios disponibles...',
+            'scheduler.unavailable': 'No se pudo cargar el calendario. Contáctanos directamente.',
+            'scheduler.title': 'Elige un horario para tu llamada de estrategia',
+            'scheduler.note': 'El calendario no se cargó, así que puedes reservar aquí. Los horarios se muestran en tu zona horaria ({{zone}}).',
+            'scheduler.day': 'Día',
+            'scheduler.time': 'Hora',
+            'scheduler.name': 'Tu nombre',
+            'scheduler.email': 'Correo electrónico',
+            'scheduler.phone': 'Teléfono (opcional)',
+            'scheduler.submit': 'Solicitar este horario',
+            'scheduler.bookError': 'No pudimos reservar ese horario. Elige otro o escribe a {{email}}',
+            'scheduler.received': 'Solicitud recibida',
+            'scheduler.when': '{{date}} a las {{time}}',
+            'scheduler.confirmed': 'Te hemos apuntado para el {{when}}. En breve recibirás un correo de confirmación.',
+            'scheduler.queued': 'Parece que no tienes conexión. Guardamos tu solicitud para el {{when}}. En breve recibirás un correo de confirmación.',
+            'scheduler.addToCalendar': 'Añadir al calendario (.ics)',
+            'scheduler.eventSummary': 'Llamada de estrategia con Arman Leads',
+            'scheduler.eventDescription': 'Llamada de estrategia sobre la captación de pacientes de tu consulta. ¿Preguntas? {{email}}',
+
+            'calendly.bookedTitle': '¡Reserva confirmada!',
+            'calendly.bookedText': 'Revisa tu bandeja de entrada para ver la invitación. Analizaré tu mercado local antes de hablar.',
+            'calendly.done': 'Listo',
+
+            'consent.label': 'Consentimiento de cookies',
+            'consent.text': 'Usamos cookies para medir nuestros anuncios y mejorar este sitio. El almacenamiento necesario protege tus envíos de formularios; la analítica y el marketing son opcionales.',
+            'consent.reject': 'Rechazar opcionales',
+            'consent.preferences': 'Preferencias',
+            'consent.accept': 'Aceptar todo',
+            'consent.title': 'Preferencias de privacidad',
+            'consent.necessary': 'Necesarias',
+            'consent.necessaryText': 'Imprescindibles para que funcionen el sitio y tus envíos de formularios.',
+            'consent.analytics': 'Analítica',
+            'consent.analyticsText': 'Informes de uso y errores que nos ayudan a mejorar el sitio.',
+            'consent.marketing': 'Marketing',
+            'consent.marketingText': 'Medición de Google Ads sobre qué campañas atraen consultas.',
+            'consent.cancel': 'Cancelar',
+            'consent.save': 'Guardar preferencias',
+
+            'roi.title': 'Haz tus propios cálculos:',
+            'roi.ltv': 'Valor de vida del paciente ($)',
+            'roi.patients': 'Contactos de pacientes nuevos al mes',
+            'roi.close': 'Tasa de conversión (%)',
+            'roi.spend': 'Inversión mensual en anuncios ($)',
+            'roi.newPatients': 'Pacientes nuevos al mes',
+            'roi.monthlyValue': 'Valor mensual de pacientes',
+            'roi.monthlyCost': 'Tu inversión mensual',
+            'roi.breakEven': 'Punto de equilibrio',
+            'roi.share': 'Copiar un enlace con estas cifras',
+            'roi.costDetail': '{{monthly}} ({{firstMonth}} el primer mes, incluida la configuración de {{setup}})',
+            'roi.needLtv': 'Introduce el valor de vida del paciente',
+            'roi.breakEvenPatients': { one: '{{count}} paciente al mes', other: '{{count}} pacientes al mes' },
+            'roi.breakEvenLeads': ' (unos {{count}} contactos)',
+            'roi.breakEvenFirstMonth': ', {{count}} el primer mes',
+            'roi.result': 'ROI: {{roi}} %',
+            'roi.resultNone': 'ROI: no disponible',
+            'roi.monthsPerPatient': ' (Un paciente paga {{count}} meses de servicio)',
+            'roi.announce': 'Valor mensual de pacientes {{value}}, ROI del {{roi}} por ciento.',
+            'roi.announceNone': 'Valor mensual de pacientes {{value}}, ROI no disponible.',
+            'roi.copied': 'Enlace copiado al portapapeles.',
+            'roi.copyManually': 'Copia este enlace para compartir tus cifras: {{url}}',
+
+            'availability.spots': { one: '{{count}} plaza', other: '{{count}} plazas' },
+            'availability.startDate': 'Próxima fecha de inicio disponible: {{date}}',
+            'availability.nextCall': 'Próximo horario disponible: {{when}}',
+
+            'faq.search': 'Buscar preguntas',
+            'faq.searchPlaceholder': 'Buscar preguntas...',
+            'faq.matches': {
+                one: '{{count}} pregunta coincide con «{{term}}».',
+                other: '{{count}} preguntas coinciden con «{{term}}».'
+            },
+            'faq.noMatches': 'Ninguna pregunta coincide. Escribe a {{email}} y te responderé directamente.',
+            'faq.helpful': '¿Te resultó útil?',
+            'faq.yes': 'Sí',
+            'faq.no': 'No',
+            'faq.thanks': 'Gracias por tu opinión.',
+
+            'locale.label': 'Idioma',
+
+            'update.available': 'Hay una nueva versión de esta página disponible.',
+            'update.reload': 'Actualizar',
+            'update.dismiss': 'Ahora no',
+
+            'capture.title': 'Antes de irte: ¿quieres el análisis de mercado de 7 páginas?',
+            'capture.text': 'Descubre cómo se compara tu consulta con la competencia local y qué búsquedas estás perdiendo. Gratis, en tu correo en menos de 24 horas.',
+            'capture.placeholder': 'Correo electrónico',
+            'capture.submit': 'Enviarme el análisis',
+            'capture.dismiss': 'No, gracias',
+            'capture.close': 'Cerrar',
+            'capture.thanks': '¡Listo! Recibirás tu análisis en menos de 24 horas.'
+        }
+    };
+
+    function createI18n() {
+        let locale = DEFAULT_LOCALE;
+        const formatters = new Map();
+
+        const supported = (code) => {
+            const base = String(code || '').toLowerCase().split(/[-_]/)[0];
+            return MESSAGES[base] ? base : null;
+        };
+
+        // ?lang= link, then a saved choice, then the browser's languages
+        function detect() {
+            let stored = null;
+            try {
+                stored = localStorage.getItem(LOCALE_STORAGE_KEY);
+            } catch (e) { /* storage blocked */ }
+            const candidates = [
+                new URLSearchParams(location.search).get('lang'),
+                stored,
+                ...(navigator.languages || [navigator.language])
+            ];
+            for (const candidate of candidates) {
+                const match = supported(candidate);
+                if (match) return match;
             }
-            
-            // Best-effort server log via beacon
-            if (navigator.sendBeacon) {
-                try {
-                    const blob = new Blob([JSON.stringify(payload)], { type: 'application/json' });
-                    navigator.sendBeacon('/_errlog', blob);
-                } catch (e) {
-                    console.warn('Beacon error:', e);
-                }
-            } else {
-                // Fallback: fetch async (do not block)
-                fetch('/_errlog', { 
-                    method: 'POST', 
-                    body: JSON.stringify(payload), 
-                    headers: {'Content-Type': 'application/json'}, 
-                    keepalive: true 
-                }).catch(() => {});
+            return DEFAULT_LOCALE;
+        }
+
+        const tag = () => LOCALES[locale].tag;
+
+        function formatter(type, options = {}) {
+            const key = `${type}|${locale}|${JSON.stringify(options)}`;
+            if (!formatters.has(key)) {
+                const Ctor = { number: Intl.NumberFormat, date: Intl.DateTimeFormat, plural: Intl.PluralRules }[type];
+                formatters.set(key, new Ctor(tag(), options));
             }
-        } catch (e) {
-            console.error('Error while handling error', e);
+            return formatters.get(key);
         }
-    }
 
-    // 1. Enhanced Preloader with proper cleanup
-    function initPreloader() {
-        const pre = document.getElementById('preloader');
-        if (!pre) return () => {};
-        
-        let isHidden = false;
-        
-        const hide = () => {
-            if (isHidden) return;
-            isHidden = true;
-            pre.setAttribute('aria-hidden', 'true');
-            pre.classList.add('fade-out');
-            // cleanup listeners
-            window.removeEventListener('load', onLoad);
-            setTimeout(() => {
-                if (pre && pre.parentNode) {
-                    pre.remove();
+        function number(value, options) {
+            return formatter('number', options).format(value);
+        }
+
+        function currency(value, options = {}) {
+            return number(value, { style: 'currency', currency: 'USD', maximumFractionDigits: 0, ...options });
+        }
+
+        function date(value, options = { dateStyle: 'medium' }) {
+            return formatter('date', options).format(value instanceof Date ? value : new Date(value));
+        }
+
+        function time(value, options = {}) {
+            return date(value, { hour: 'numeric', minute: '2-digit', ...options });
+        }
+
+        // Intl.RelativeTimeFormat text ("tomorrow", "mañana"), or null where unsupported
+        function relative(value, unit, options = { numeric: 'auto' }) {
+            if (typeof Intl.RelativeTimeFormat !== 'function') return null;
+            return new Intl.RelativeTimeFormat(tag(), options).format(value, unit);
+        }
+
+        /**
+         * Looks `key` up in the active catalog, falling back to English and
+         * then to the key itself. `count` selects the plural form and is
+         * formatted for the locale.
+         */
+        function t(key, params = {}) {
+            let message = MESSAGES[locale][key] !== undefined ? MESSAGES[locale][key] : MESSAGES[DEFAULT_LOCALE][key];
+            if (message === undefined) return key;
+            const tokens = { email: CONTACT_EMAIL, ...params };
+            if (typeof params.count === 'number') {
+                if (typeof message === 'object') {
+                    const category = formatter('plural').select(params.count);
+                    message = message[category] !== undefined ? message[category] : message.other;
                 }
-            }, 400);
-            document.documentElement.classList.add('page-loaded');
-        };
-        
-        function onLoad() { hide(); }
-        
-        if (document.readyState === 'complete') {
-            setTimeout(hide, 500);
-        } else {
-            window.addEventListener('load', onLoad, passiveIfSupported);
+                tokens.count = number(params.count);
+            } else if (typeof message === 'object') {
+                message = message.other;
+            }
+            return interpolate(message, tokens);
         }
-        
-        // Safety timeout
-        setTimeout(hide, 3000);
-        
-        return () => {
-            window.removeEventListener('load', onLoad);
-            if (!isHidden) hide();
+
+        // <html lang> stays as authored: the static copy is English whatever the catalog locale
+        function applyLocale() {
+            document.documentElement.dataset.locale = locale;
+        }
+
+        function setLocale(code) {
+            const match = supported(code);
+            if (!match) return false;
+            locale = match;
+            applyLocale();
+            try {
+                localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+            } catch (e) { /* applies for this page view only */ }
+            return true;
+        }
+
+        locale = detect();
+        applyLocale();
+
+        return {
+            t,
+            number,
+            currency,
+            date,
+            time,
+            relative,
+            setLocale,
+            locale: () => locale,
+            tag,
+            locales: () => Object.keys(LOCALES).map(code => ({ code, name: LOCALES[code].name })),
+            catalogs: MESSAGES
         };
     }
 
-    // 2. Enhanced sticky navbar with scroll direction detection
-    function initStickyNavbar() {
-        const navbar = document.getElementById('navbar');
-        if (!navbar) return () => {};
-        
-        let lastY = window.scrollY;
-        
-        function onScroll() {
-            const y = window.scrollY;
-            navbar.classList.toggle('scrolled', y > 50);
-            
-            if (y > lastY && y > 120) {
-                // scrolling down
-                navbar.classList.add('nav-up');
-                navbar.classList.remove('nav-down');
-            } else {
-                // scrolling up
-                navbar.classList.add('nav-down');
-                navbar.classList.remove('nav-up');
-            }
-            lastY = y;
+    const i18n = createI18n();
+    const t = i18n.t;
+
+    // Consent management: stored choices per category, Google Consent Mode signals
+    // and a queue that holds events until the visitor decides
+    const CONSENT_VERSION = 1;
+    const CONSENT_STORAGE_KEY = 'armanleads:consent';
+    const CONSENT_QUEUE_LIMIT = 50;
+
+    function gtagCommand(...args) {
+        if (typeof window.gtag === 'function') {
+            window.gtag(...args);
+            return;
         }
-        
-        const wrappedScroll = onScrollVisual(throttleWithTrailing(onScroll, 120));
-        window.addEventListener('scroll', wrappedScroll, passiveIfSupported);
-        
-        // Initial check
-        wrappedScroll();
-        
-        return () => window.removeEventListener('scroll', wrappedScroll);
+        // Same shape the gtag.js snippet pushes, so the command replays once it loads
+        window.dataLayer = window.dataLayer || [];
+        (function() { window.dataLayer.push(arguments); }).apply(null, args);
     }
 
-    // 3. Enhanced mobile navigation with focus trap and accessibility
-    function initMobileNav() {
-        const navToggle = document.getElementById('nav-toggle');
-        const navMenu = document.getElementById('nav-menu');
-        if (!navToggle || !navMenu) return () => {};
+    function createConsentManager() {
+        const listeners = new Set();
+        let held = [];
+        let state = read();
 
-        let previouslyFocused = null;
-        let trapCleanup = null;
+        function read() {
+            try {
+                const stored = JSON.parse(localStorage.getItem(CONSENT_STORAGE_KEY));
+                // Choices made under an older policy version have to be asked again
+                if (stored && stored.version === CONSENT_VERSION && stored.categories) return stored;
+            } catch (e) { /* ignore */ }
+            return null;
+        }
 
-        function openMenu() {
-            previouslyFocused = document.activeElement;
-            navToggle.setAttribute('aria-expanded', 'true');
-            navMenu.classList.add('active');
-            document.body.classList.add('modal-open');
-            navMenu.setAttribute('aria-hidden', 'false');
-            
-            // Focus first focusable element
-            const first = navMenu.querySelector(FOCUSABLE);
-            if (first) first.focus();
-            trapCleanup = trapFocus(navMenu, true);
+        function consentModeFor(categories) {
+            const signal = (granted) => (granted ? 'granted' : 'denied');
+            return {
+                analytics_storage: signal(categories.analytics),
+                ad_storage: signal(categories.marketing),
+                ad_user_data: signal(categories.marketing),
+                ad_personalization: signal(categories.marketing)
+            };
         }
 
-        function closeMenu() {
-            navToggle.setAttribute('aria-expanded', 'false');
-            navMenu.classList.remove('active');
-            document.body.classList.remove('modal-open');
-            navMenu.setAttribute('aria-hidden', 'true');
-            if (trapCleanup) trapCleanup();
-            if (previouslyFocused) previouslyFocused.focus();
+        function has(category) {
+            if (category === 'necessary') return true;
+            return Boolean(state && state.categories[category]);
         }
 
-        // Toggle functionality
-        navToggle.addEventListener('click', (e) => {
-            e.preventDefault();
-            if (navMenu.classList.contains('active')) {
-                closeMenu();
-            } else {
-                openMenu();
-            }
-        });
+        function isDecided() {
+            return state !== null;
+        }
 
-        // Close on outside click
-        const docClick = (e) => {
-            if (navMenu.classList.contains('active') && 
-                !navMenu.contains(e.target) && 
-                !navToggle.contains(e.target)) {
-                closeMenu();
+        // Runs `fn` now if allowed, holds it while undecided, drops it if refused
+        function run(category, fn) {
+            if (has(category)) {
+                fn();
+            } else if (!isDecided()) {
+                held.push({ category, fn });
+                if (held.length > CONSENT_QUEUE_LIMIT) held.shift();
             }
-        };
-        document.addEventListener('click', docClick);
+        }
 
-        // Close on Escape key
-        const escapeHandler = (e) => {
-            if (e.key === 'Escape' && navMenu.classList.contains('active')) {
-                closeMenu();
-            }
-        };
-        document.addEventListener('keydown', escapeHandler);
+        function get() {
+            return state ? { ...state, categories: { ...state.categories } } : null;
+        }
 
-        // Close on nav link click (mobile only)
-        const navLinks = navMenu.querySelectorAll('a[href^="#"]');
-        navLinks.forEach(link => {
-            link.addEventListener('click', () => {
-                if (window.innerWidth <= 767) {
-                    setTimeout(closeMenu, 150);
+        function update(choices) {
+            const categories = {
+                necessary: true,
+                analytics: Boolean(choices.analytics),
+                marketing: Boolean(choices.marketing)
+            };
+            state = { version: CONSENT_VERSION, categories, updatedAt: new Date().toISOString() };
+            try {
+                localStorage.setItem(CONSENT_STORAGE_KEY, JSON.stringify(state));
+            } catch (e) { /* consent still applies for this page view */ }
+
+            gtagCommand('consent', 'update', consentModeFor(categories));
+
+            const pending = held;
+            held = [];
+            pending.forEach(({ category, fn }) => {
+                if (!has(category)) return;
+                try {
+                    fn();
+                } catch (e) {
+                    console.warn('Consent queue error:', e);
                 }
             });
+            listeners.forEach(fn => fn(get()));
+        }
+
+        function onChange(fn) {
+            listeners.add(fn);
+            return () => listeners.delete(fn);
+        }
+
+        // Defaults must be signalled before any tag fires
+        gtagCommand('consent', 'default', {
+            ...consentModeFor({}),
+            functionality_storage: 'granted',
+            security_storage: 'granted',
+            wait_for_update: 500
         });
+        if (state) gtagCommand('consent', 'update', consentModeFor(state.categories));
 
-        // Close menu on resize if mobile menu is open
-        const handleResize = debounce(() => {
-            if (navMenu.classList.contains('active') && window.innerWidth > 767) {
-                closeMenu();
+        return {
+            version: CONSENT_VERSION,
+            has,
+            isDecided,
+            run,
+            get,
+            update,
+            onChange,
+            acceptAll: () => update({ analytics: true, marketing: true }),
+            rejectAll: () => update({ analytics: false, marketing: false })
+        };
+    }
+
+    const consent = createConsentManager();
+
+    // Unified event pipeline: one event schema, pluggable transports, batching and retries
+    const EVENT_BATCH_SIZE = 20;
+    const EVENT_FLUSH_INTERVAL = 5000;
+    const EVENT_RETRY_LIMIT = 100;
+    const EVENT_MAX_ATTEMPTS = 3;
+
+    let memorySessionId = null;
+    function getSessionId() {
+        try {
+            let id = sessionStorage.getItem('armanleads:session');
+            if (!id) {
+                id = createIdempotencyKey();
+                sessionStorage.setItem('armanleads:session', id);
             }
-        }, 250);
+            return id;
+        } catch (e) {
+            if (!memorySessionId) memorySessionId = createIdempotencyKey();
+            return memorySessionId;
+        }
+    }
 
-        window.addEventListener('resize', handleResize);
+    // Immediate transport: forwards each event to gtag as it happens
+    function createGtagTransport() {
+        return {
+            name: 'gtag',
+            batch: false,
+            send: (batch) => {
+                if (typeof window.gtag !== 'function') return true;
+                batch.forEach(event => window.gtag('event', event.name, event.props));
+                return true;
+            }
+        };
+    }
 
-        return () => {
-            document.removeEventListener('click', docClick);
-            document.removeEventListener('keydown', escapeHandler);
-            window.removeEventListener('resize', handleResize);
+    // Batched transport: posts `{ events: [...] }` to an endpoint
+    function createBeaconTransport(endpoint, { name = `beacon:${endpoint}`, filter, category } = {}) {
+        return {
+            name,
+            batch: true,
+            filter,
+            category,
+            send: (batch) => {
+                const body = JSON.stringify({ events: batch });
+                if (navigator.sendBeacon) {
+                    return navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }));
+                }
+                return fetch(endpoint, {
+                    method: 'POST',
+                    body,
+                    headers: { 'Content-Type': 'application/json' },
+                    keepalive: true
+                }).then(response => response.ok);
+            }
         };
     }
 
-    // 4. Enhanced smooth navigation with robust active link detection
-    function initSmoothNavigation() {
-        const navbar = document.getElementById('navbar');
-        const links = Array.from(document.querySelectorAll('.nav-link[href^="#"]'));
-        const sections = links.map(l => document.querySelector(l.getAttribute('href'))).filter(Boolean);
-        if (!sections.length) return () => {};
+    // Custom transport: returning false (or rejecting) puts the events in the retry buffer
+    function createCallbackTransport(name, callback, { batch = false, filter, category } = {}) {
+        return { name, batch, filter, category, send: (events) => callback(events) };
+    }
 
-        let navbarHeight = navbar ? navbar.offsetHeight : 80;
-        const visibleRatio = new Map();
+    function createEventPipeline() {
+        const transports = new Map();
+        let buffer = [];
+        let timer = null;
 
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                visibleRatio.set(entry.target.id, entry.intersectionRatio);
+        function register(transport) {
+            if (!transport || !transport.name || typeof transport.send !== 'function') {
+                throw new TypeError('A transport needs a name and a send(events) function');
+            }
+            transports.set(transport.name, { transport, retry: [] });
+            return () => unregister(transport.name);
+        }
+
+        function unregister(name) {
+            return transports.delete(name);
+        }
+
+        function schedule() {
+            if (!timer) timer = setTimeout(flush, EVENT_FLUSH_INTERVAL);
+        }
+
+        function retryLater(entry, items) {
+            breadcrumbs.add('network', `Event delivery failed via ${entry.transport.name}`, { events: items.length });
+            items.forEach(item => {
+                if (item.attempts + 1 < EVENT_MAX_ATTEMPTS) {
+                    entry.retry.push({ event: item.event, attempts: item.attempts + 1 });
+                }
             });
-            
-            // Pick max visibility
-            let activeId = null, max = 0;
-            visibleRatio.forEach((ratio, id) => {
-                if (ratio > max) { 
-                    max = ratio; 
-                    activeId = id; 
-                }
+            if (entry.retry.length > EVENT_RETRY_LIMIT) {
+                entry.retry.splice(0, entry.retry.length - EVENT_RETRY_LIMIT);
+            }
+            if (entry.retry.length) schedule();
+        }
+
+        function deliver(entry, items) {
+            const { transport } = entry;
+            // Transports in a refused category never see the events
+            if (!consent.has(transport.category || 'analytics')) return;
+            const accepted = transport.filter ? items.filter(item => transport.filter(item.event)) : items;
+            if (!accepted.length) return;
+
+            let result;
+            try {
+                result = transport.send(accepted.map(item => item.event));
+            } catch (e) {
+                result = false;
+            }
+            Promise.resolve(result).then(
+                (ok) => { if (ok === false) retryLater(entry, accepted); },
+                () => retryLater(entry, accepted)
+            );
+        }
+
+        function flush() {
+            clearTimeout(timer);
+            timer = null;
+            const batch = buffer.map(event => ({ event, attempts: 0 }));
+            buffer = [];
+            transports.forEach(entry => {
+                const items = entry.retry.splice(0).concat(entry.transport.batch ? batch : []);
+                if (items.length) deliver(entry, items);
             });
-            
-            links.forEach(link => {
-                link.classList.toggle('active', link.getAttribute('href') === `#${activeId}`);
+        }
+
+        function track(name, props = {}, { category = 'analytics' } = {}) {
+            if (!name) return null;
+            const event = {
+                id: createIdempotencyKey(),
+                name: String(name),
+                category,
+                props: { ...props },
+                ts: new Date().toISOString(),
+                session: getSessionId(),
+                page: location.pathname,
+                url: location.href
+            };
+            consent.run(category, () => {
+                transports.forEach(entry => {
+                    if (!entry.transport.batch) deliver(entry, [{ event, attempts: 0 }]);
+                });
+                buffer.push(event);
+                if (buffer.length >= EVENT_BATCH_SIZE) {
+                    flush();
+                } else {
+                    schedule();
+                }
             });
-        }, {
-            root: null,
-            rootMargin: `-${navbarHeight}px 0px -40% 0px`,
-            threshold: [0, 0.1, 0.25, 0.5, 0.75, 1]
-        });
+            return event;
+        }
 
-        sections.forEach(s => observer.observe(s));
-        
-        // Update on resize
-        const onResize = debounce(() => { 
-            navbarHeight = navbar ? navbar.offsetHeight : 80; 
-        }, 200);
-        window.addEventListener('resize', onResize, passiveIfSupported);
+        return {
+            track,
+            flush,
+            register,
+            unregister,
+            transports: {
+                gtag: createGtagTransport,
+                beacon: createBeaconTransport,
+                callback: createCallbackTransport
+            }
+        };
+    }
 
-        // Smooth click handler
-        links.forEach(link => {
-            link.addEventListener('click', (e) => {
-                const href = link.getAttribute('href');
-                const target = document.querySelector(href);
-                if (!target) return;
-                e.preventDefault();
-                const top = Math.max(0, target.getBoundingClientRect().top + window.scrollY - navbarHeight - 12);
-                window.scrollTo({ top, behavior: 'smooth' });
+    const events = createEventPipeline();
+    events.register(createGtagTransport());
+    events.register(createBeaconTransport('/_track'));
+    // Lightweight CRM log of completed leads
+    events.register(createBeaconTransport('/log-form', { filter: event => event.name === 'lead' }));
+
+    // Marketing attribution: first- and last-touch campaign details kept for a window
+    const ATTRIBUTION_STORAGE_KEY = 'armanleads:attribution';
+    const ATTRIBUTION_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'gclid', 'wbraid', 'gbraid'];
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    function createAttribution({ windowDays = 90 } = {}) {
+        const options = { windowDays };
+        let state = { first: null, last: null };
+
+        function isFresh(touch) {
+            return Boolean(touch && Date.now() - touch.ts < options.windowDays * DAY_MS);
+        }
+
+        // Ad identifiers only outlive the session once marketing consent is given
+        function storage() {
+            return consent.has('marketing') ? localStorage : sessionStorage;
+        }
+
+        function load() {
+            let stored = null;
+            try {
+                stored = JSON.parse(localStorage.getItem(ATTRIBUTION_STORAGE_KEY) ||
+                    sessionStorage.getItem(ATTRIBUTION_STORAGE_KEY));
+            } catch (e) { /* ignore */ }
+            state = {
+                first: stored && isFresh(stored.first) ? stored.first : null,
+                last: stored && isFresh(stored.last) ? stored.last : null
+            };
+        }
+
+        function persist() {
+            try {
+                const target = storage();
+                target.setItem(ATTRIBUTION_STORAGE_KEY, JSON.stringify(state));
+                if (target === localStorage) {
+                    sessionStorage.removeItem(ATTRIBUTION_STORAGE_KEY);
+                } else {
+                    localStorage.removeItem(ATTRIBUTION_STORAGE_KEY);
+                }
+            } catch (e) { /* ignore */ }
+        }
+
+        function externalReferrer(referrer) {
+            try {
+                return referrer && new URL(referrer).host !== location.host ? referrer : '';
+            } catch (e) {
+                return '';
+            }
+        }
+
+        // Records a touch for campaign landings and external referrals; direct
+        // and internal page views leave the stored touches alone
+        function capture(href = location.href, referrer = document.referrer) {
+            const url = new URL(href);
+            const touch = {};
+            ATTRIBUTION_PARAMS.forEach(key => {
+                const value = url.searchParams.get(key);
+                if (value) touch[key] = value.slice(0, 200);
             });
-        });
+            const external = externalReferrer(referrer);
+            if (!Object.keys(touch).length && !external) return false;
 
-        return () => {
-            observer.disconnect();
-            window.removeEventListener('resize', onResize);
+            touch.landing_page = `${url.origin}${url.pathname}${url.search}`;
+            touch.referrer = external;
+            touch.ts = Date.now();
+
+            load();
+            if (!state.first) state.first = touch;
+            state.last = touch;
+            persist();
+            return true;
+        }
+
+        function get() {
+            load();
+            const format = (touch) => (touch ? { ...touch, captured_at: new Date(touch.ts).toISOString() } : null);
+            return { first: format(state.first), last: format(state.last) };
+        }
+
+        // UTM parameters of the most recent touch, e.g. for Calendly prefill
+        function utmParams() {
+            const { first, last } = get();
+            const touch = last || first;
+            const params = {};
+            if (touch) {
+                ATTRIBUTION_PARAMS.filter(key => key.indexOf('utm_') === 0 && touch[key])
+                    .forEach(key => { params[key] = touch[key]; });
+            }
+            return params;
+        }
+
+        function configure(next = {}) {
+            if (next.windowDays > 0) options.windowDays = next.windowDays;
+            load();
+            persist();
+        }
+
+        function clear() {
+            state = { first: null, last: null };
+            try {
+                localStorage.removeItem(ATTRIBUTION_STORAGE_KEY);
+                sessionStorage.removeItem(ATTRIBUTION_STORAGE_KEY);
+            } catch (e) { /* ignore */ }
+        }
+
+        return { capture, get, utmParams, configure, clear, persist: () => { load(); persist(); } };
+    }
+
+    const attribution = createAttribution();
+
+    // Breadcrumbs: ring buffer of recent activity included with error reports
+    const BREADCRUMB_LIMIT = 30;
+
+    function createBreadcrumbs(limit = BREADCRUMB_LIMIT) {
+        const items = [];
+        return {
+            add(category, message, data) {
+                const crumb = { ts: new Date().toISOString(), category, message: String(message).slice(0, 200) };
+                if (data) crumb.data = data;
+                items.push(crumb);
+                if (items.length > limit) items.shift();
+            },
+            list: () => items.slice(),
+            clear: () => { items.length = 0; }
         };
     }
 
-    // 5. Enhanced business type selector with proper semantics
-    function initBusinessTypeSelector() {
-        const wrapper = document.querySelector('.business-types');
-        const businessTypeInput = document.getElementById('business-type');
-        if (!wrapper || !businessTypeInput) return () => {};
-        
-        wrapper.setAttribute('role', 'radiogroup');
-        
-        wrapper.addEventListener('click', (e) => {
-            const card = e.target.closest('.business-type-card');
-            if (!card) return;
-            select(card);
-        });
+    const breadcrumbs = createBreadcrumbs();
 
-        wrapper.addEventListener('keydown', (e) => {
-            const card = e.target.closest('.business-type-card');
-            if (!card) return;
-            
-            if (e.key === 'Enter' || e.key === ' ') { 
-                e.preventDefault(); 
-                select(card); 
+    // Dialog manager: one stack for every modal surface. The top dialog owns
+    // focus and Escape, everything outside it is inert and the page behind
+    // stays where it was scrolled to.
+    function createDialogManager() {
+        const stack = [];
+        let inerted = [];
+        let lockedScrollY = 0;
+        let trapCleanup = null;
+
+        function emit(entry, type, detail = {}) {
+            entry.element.dispatchEvent(new CustomEvent(`dialog:${type}`, {
+                bubbles: true,
+                detail: { label: entry.label, depth: stack.length, ...detail }
+            }));
+        }
+
+        // Makes every sibling along the path from the top dialog's root to <body> inert
+        function syncBackground() {
+            inerted.forEach(el => el.removeAttribute('inert'));
+            inerted = [];
+            const top = stack[stack.length - 1];
+            if (!top) return;
+            let node = top.root;
+            while (node && node.parentElement && node !== document.body) {
+                Array.from(node.parentElement.children).forEach(sibling => {
+                    if (sibling === node || sibling.hasAttribute('inert') || sibling.tagName === 'SCRIPT') return;
+                    sibling.setAttribute('inert', '');
+                    inerted.push(sibling);
+                });
+                node = node.parentElement;
             }
-            
-            if (e.key === 'ArrowRight' || e.key === 'ArrowLeft') {
+        }
+
+        function lockScroll() {
+            lockedScrollY = window.scrollY;
+            const body = document.body;
+            body.classList.add('modal-open');
+            body.style.position = 'fixed';
+            body.style.top = `-${lockedScrollY}px`;
+            body.style.left = '0';
+            body.style.right = '0';
+        }
+
+        function unlockScroll() {
+            const body = document.body;
+            body.classList.remove('modal-open');
+            body.style.position = '';
+            body.style.top = '';
+            body.style.left = '';
+            body.style.right = '';
+            window.scrollTo({ top: lockedScrollY, behavior: 'instant' });
+        }
+
+        function keyHandler(e) {
+            const top = stack[stack.length - 1];
+            if (e.key === 'Escape' && top && top.closeOnEscape) {
                 e.preventDefault();
-                const cards = Array.from(wrapper.querySelectorAll('.business-type-card'));
-                const idx = cards.indexOf(card);
-                const next = e.key === 'ArrowRight' 
-                    ? (idx + 1) % cards.length 
-                    : (idx - 1 + cards.length) % cards.length;
-                if (cards[next]) {
-                    cards[next].focus();
-                }
+                close(top.element, 'escape');
             }
-        });
+        }
 
-        function select(card) {
-            Array.from(wrapper.querySelectorAll('.business-type-card')).forEach(c => {
-                c.classList.remove('active');
-                c.setAttribute('aria-checked', 'false');
-                c.setAttribute('tabindex', '-1');
-                c.setAttribute('role', 'radio');
-            });
-            card.classList.add('active');
-            card.setAttribute('aria-checked', 'true');
-            card.setAttribute('tabindex', '0');
-            businessTypeInput.value = card.dataset.type || 'dental';
-            card.focus();
+        function retrap() {
+            if (trapCleanup) trapCleanup();
+            trapCleanup = null;
+            const top = stack[stack.length - 1];
+            if (top) trapCleanup = trapFocus(top.element);
         }
 
-        // Initialize
-        const active = wrapper.querySelector('.business-type-card.active') || wrapper.querySelector('.business-type-card');
-        if (active) select(active);
+        function find(element) {
+            return stack.find(entry => entry.element === element);
+        }
 
-        return () => {};
+        /**
+         * Opens `element` on top of any open dialogs.
+         * Options: label, root (ancestor kept interactive, defaults to the
+         * element), initialFocus, closeOnEscape (default true), onClose(reason).
+         */
+        function open(element, options = {}) {
+            if (find(element)) return;
+            const entry = {
+                element,
+                root: options.root || element,
+                label: options.label || element.getAttribute('aria-label') || 'Dialog',
+                closeOnEscape: options.closeOnEscape !== false,
+                onClose: options.onClose,
+                opener: document.activeElement
+            };
+
+            if (!stack.length) {
+                lockScroll();
+                document.addEventListener('keydown', keyHandler);
+            }
+            stack.push(entry);
+            element.classList.add('active');
+            element.setAttribute('aria-hidden', 'false');
+            syncBackground();
+            retrap();
+
+            const target = typeof options.initialFocus === 'function' ? options.initialFocus() : options.initialFocus;
+            const focusTarget = target || getFocusable(element)[0] || element;
+            if (focusTarget === element && !element.hasAttribute('tabindex')) element.setAttribute('tabindex', '-1');
+            focusTarget.focus();
+
+            breadcrumbs.add('modal', `${entry.label} opened`);
+            emit(entry, 'open');
+        }
+
+        // Closes `element` and anything stacked above it
+        function close(element, reason = 'api') {
+            const index = stack.findIndex(entry => entry.element === element);
+            if (index === -1) return;
+            while (stack.length > index) {
+                const entry = stack.pop();
+                entry.element.classList.remove('active');
+                entry.element.setAttribute('aria-hidden', 'true');
+                syncBackground();
+                retrap();
+                if (!stack.length) {
+                    document.removeEventListener('keydown', keyHandler);
+                    unlockScroll();
+                }
+                if (entry.opener && document.contains(entry.opener)) entry.opener.focus();
+                breadcrumbs.add('modal', `${entry.label} closed`, { reason });
+                if (entry.onClose) entry.onClose(reason);
+                emit(entry, 'close', { reason });
+            }
+        }
+
+        return {
+            open,
+            close,
+            isOpen: (element) => Boolean(find(element)),
+            top: () => (stack.length ? stack[stack.length - 1].element : null),
+            closeAll: (reason = 'api') => { if (stack.length) close(stack[0].element, reason); }
+        };
     }
 
-    // 6. Bulletproof contact form with comprehensive UX improvements
-    function initContactForm() {
-        const form = document.getElementById('contact-form');
-        if (!form) return () => {};
-        
-        const submitBtn = form.querySelector('.btn-submit');
-        const successMessage = document.getElementById('form-success');
+    const dialogs = createDialogManager();
 
-        // Create error region for accessibility
-        const errorRegion = document.createElement('div');
-        errorRegion.setAttribute('role', 'status');
-        errorRegion.setAttribute('aria-live', 'polite');
-        errorRegion.className = 'form-error-region';
-        errorRegion.style.cssText = 'color: #ef4444; margin-bottom: 1rem; font-size: 0.9rem; display: none;';
-        form.prepend(errorRegion);
+    // Error telemetry: fingerprinting, deduplication, sampling and rate limits
+    const ERROR_STATE_KEY = 'armanleads:errors';
+    const ERROR_FINGERPRINT_LIMIT = 200;
 
-        let lastSubmit = 0;
+    // FNV-1a, enough to group repeats of the same error
+    function hashString(value) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
 
-        function setError(msg) {
-            errorRegion.innerText = msg;
-            errorRegion.style.display = 'block';
-            errorRegion.classList.add('show');
+    function createErrorTelemetry({ sampleRate = 1, maxPerSession = 20, maxPerMinute = 5 } = {}) {
+        const options = { sampleRate, maxPerSession, maxPerMinute };
+        const recent = [];
+        let memoryState = { sent: 0, seen: {} };
+
+        function read() {
+            try {
+                return JSON.parse(sessionStorage.getItem(ERROR_STATE_KEY)) || memoryState;
+            } catch (e) {
+                return memoryState;
+            }
         }
-        
-        function clearError() {
-            errorRegion.innerText = '';
-            errorRegion.style.display = 'none';
-            errorRegion.classList.remove('show');
+
+        function write(state) {
+            memoryState = state;
+            try {
+                sessionStorage.setItem(ERROR_STATE_KEY, JSON.stringify(state));
+            } catch (e) { /* ignore */ }
         }
 
-        function validate() {
-            clearError();
-            const required = form.querySelectorAll('[required]');
-            
-            for (const field of required) {
-                if (!field.value.trim()) {
-                    field.setAttribute('aria-invalid', 'true');
-                    field.focus();
-                    setError('Please complete all required fields.');
-                    return false;
-                } else {
-                    field.setAttribute('aria-invalid', 'false');
-                }
-                
-                if (field.type === 'email') {
-                    const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-                    if (!re.test(field.value.trim())) {
-                        field.setAttribute('aria-invalid', 'true');
-                        field.focus();
-                        setError('Please enter a valid email address.');
-                        return false;
-                    }
-                }
+        function fingerprint(error, context) {
+            // Digits usually carry ids and counters that differ between repeats
+            const message = (error && error.message ? error.message : String(error)).replace(/\d+/g, '0').slice(0, 200);
+            const stack = error && error.stack ? String(error.stack) : '';
+            const frame = (stack.split('\n').find(line => /:\d+:\d+/.test(line)) || '').trim();
+            return hashString(`${context}|${error && error.name}|${message}|${frame}`);
+        }
+
+        // Decides whether an occurrence is reported: only the first of each
+        // fingerprint per session, within the rate limits and the sample
+        function evaluate(id) {
+            const state = read();
+            const count = (state.seen[id] || 0) + 1;
+            const now = Date.now();
+            while (recent.length && now - recent[0] > 60000) recent.shift();
+
+            const report = count === 1 &&
+                state.sent < options.maxPerSession &&
+                recent.length < options.maxPerMinute &&
+                Math.random() < options.sampleRate;
+
+            if (Object.keys(state.seen).length < ERROR_FINGERPRINT_LIMIT || state.seen[id]) {
+                state.seen[id] = count;
             }
-            return true;
+            if (report) {
+                state.sent += 1;
+                recent.push(now);
+            }
+            write(state);
+            return { report, count };
         }
 
-        form.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            
-            // Rate limiting
-            if (Date.now() - lastSubmit < 5000) {
-                setError('Please wait a few seconds before trying again.');
-                return;
+        function configure(next = {}) {
+            Object.keys(options).forEach(key => {
+                if (typeof next[key] === 'number' && next[key] >= 0) options[key] = next[key];
+            });
+            return { ...options };
+        }
+
+        return { fingerprint, evaluate, configure };
+    }
+
+    const errorTelemetry = createErrorTelemetry();
+
+    // Errors raised by browser extensions, cross-origin scripts and known
+    // benign browser warnings say nothing about this site
+    const ERROR_NOISE = [
+        /^Script error\.?$/i,
+        /ResizeObserver loop/i,
+        /^Non-Error promise rejection captured/i
+    ];
+    const EXTENSION_URL = /^(chrome|moz|safari|safari-web|ms-browser)-extension:/i;
+
+    function isThirdPartyError(message, filename, stack) {
+        if (ERROR_NOISE.some(pattern => pattern.test(message || ''))) return true;
+        if (filename) {
+            if (EXTENSION_URL.test(filename)) return true;
+            try {
+                if (new URL(filename, location.href).origin !== location.origin) return true;
+            } catch (e) { /* keep unparseable sources */ }
+        }
+        if (stack) {
+            const urls = String(stack).match(/(?:https?|[a-z-]+-extension):\/\/[^\s)]+/gi) || [];
+            if (urls.length && urls.every(url => EXTENSION_URL.test(url) || url.indexOf(location.origin) !== 0)) {
+                return true;
             }
+        }
+        return false;
+    }
+
+    // Enhanced error handling with robust telemetry
+    function handleError(error, context='unknown') {
+        try {
+            const payload = {
+                ts: new Date().toISOString(),
+                context,
+                message: error && error.message ? error.message : String(error),
+                stack: error && error.stack ? error.stack : null,
+                url: location.href,
+                userAgent: navigator.userAgent
+            };
             
-            if (!validate()) return;
-            
-            // Check honeypot
-            const honeypot = form.querySelector('input[name="website_url"]');
-            if (honeypot && honeypot.value) {
-                return; // Silent fail for bots
-            }
+            console.error(`ArmanLeads Error [${context}]:`, error);
+
+            const fingerprint = errorTelemetry.fingerprint(error, context);
+            const { report, count } = errorTelemetry.evaluate(fingerprint);
+            if (!report) return;
+            Object.assign(payload, {
+                fingerprint,
+                occurrence: count,
+                session: getSessionId(),
+                breadcrumbs: breadcrumbs.list()
+            });
             
-            lastSubmit = Date.now();
-            submitBtn.disabled = true;
-            const originalText = submitBtn.innerHTML;
-            submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sending...';
+            // The analytics side goes through the event pipeline like every other module
+            events.track('exception', {
+                description: `${context}: ${payload.message}`.slice(0, 150),
+                fatal: false,
+                context,
+                fingerprint,
+                occurrence: count
+            });
+
+            // Full report (stack, breadcrumbs) for the error log only
+            consent.run('analytics', () => {
+                // Best-effort server log via beacon
+                if (navigator.sendBeacon) {
+                    try {
+                        const blob = new Blob([JSON.stringify(payload)], { type: 'application/json' });
+                        navigator.sendBeacon('/_errlog', blob);
+                    } catch (e) {
+                        console.warn('Beacon error:', e);
+                    }
+                } else {
+                    // Fallback: fetch async (do not block)
+                    fetch('/_errlog', { 
+                        method: 'POST', 
+                        body: JSON.stringify(payload), 
+                        headers: {'Content-Type': 'application/json'}, 
+                        keepalive: true 
+                    }).catch(() => {});
+                }
+            });
+        } catch (e) {
+            console.error('Error while handling error', e);
+        }
+    }
+
+    // Durable submission queue: IndexedDB with a localStorage fallback.
+    // Entries are only removed once the server has confirmed receipt.
+    const QUEUE_DB_NAME = 'armanleads';
+    const QUEUE_STORE = 'submissions';
+    const QUEUE_FALLBACK_KEY = 'armanleads:submissions';
+    const QUEUE_MAX_ATTEMPTS = 6;
+    const QUEUE_BASE_DELAY = 5000;
+    const QUEUE_MAX_DELAY = 30 * 60 * 1000;
+
+    function createIdempotencyKey() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    }
+
+    function idbRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function createIndexedDbStore() {
+        return new Promise((resolve, reject) => {
+            const open = indexedDB.open(QUEUE_DB_NAME, 1);
+            open.onupgradeneeded = () => {
+                if (!open.result.objectStoreNames.contains(QUEUE_STORE)) {
+                    open.result.createObjectStore(QUEUE_STORE, { keyPath: 'id' });
+                }
+            };
+            open.onerror = () => reject(open.error);
+            open.onblocked = () => reject(new Error('IndexedDB blocked'));
+            open.onsuccess = () => {
+                const db = open.result;
+                const run = (mode, fn) => {
+                    const tx = db.transaction(QUEUE_STORE, mode);
+                    return idbRequest(fn(tx.objectStore(QUEUE_STORE)));
+                };
+                resolve({
+                    type: 'indexeddb',
+                    all: () => run('readonly', store => store.getAll()),
+                    put: (entry) => run('readwrite', store => store.put(entry)),
+                    remove: (id) => run('readwrite', store => store.delete(id))
+                });
+            };
+        });
+    }
+
+    function createLocalStorageStore() {
+        const read = () => {
+            try {
+                return JSON.parse(localStorage.getItem(QUEUE_FALLBACK_KEY)) || [];
+            } catch (e) {
+                return [];
+            }
+        };
+        const write = (entries) => {
+            localStorage.setItem(QUEUE_FALLBACK_KEY, JSON.stringify(entries));
+        };
+        return {
+            type: 'localstorage',
+            all: async () => read(),
+            put: async (entry) => write(read().filter(e => e.id !== entry.id).concat(entry)),
+            remove: async (id) => write(read().filter(e => e.id !== id))
+        };
+    }
+
+    function createSubmissionQueue() {
+        let storePromise = null;
+        let flushing = null;
+
+        function getStore() {
+            if (!storePromise) {
+                storePromise = ('indexedDB' in window ? createIndexedDbStore() : Promise.reject(new Error('No IndexedDB')))
+                    .catch(() => createLocalStorageStore());
+            }
+            return storePromise;
+        }
+
+        function createEntry(url, fields, id = createIdempotencyKey()) {
+            return {
+                id,
+                url,
+                fields,
+                createdAt: Date.now(),
+                attempts: 0,
+                nextAttemptAt: 0,
+                lastError: null
+            };
+        }
+
+        function backoff(attempts) {
+            const delay = Math.min(QUEUE_MAX_DELAY, QUEUE_BASE_DELAY * Math.pow(2, attempts - 1));
+            return delay / 2 + Math.random() * delay / 2;
+        }
+
+        // Resolves with the server response only when receipt is confirmed.
+        // Rejections carry `permanent` for responses a retry cannot fix.
+        async function send(entry) {
+            const body = new FormData();
+            entry.fields.forEach(([key, value]) => body.append(key, value));
+            if (!body.has('idempotency_key')) body.append('idempotency_key', entry.id);
+
+            // Submission-Age lets the server judge a replayed entry by when it was first sent
+            const response = await fetch(entry.url, {
+                method: 'POST',
+                body,
+                headers: {
+                    'Accept': 'application/json',
+                    'Idempotency-Key': entry.id,
+                    'Submission-Age': String(Math.max(0, Date.now() - entry.createdAt))
+                }
+            });
+            const json = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                const error = new Error(json.error || `Server error: ${response.status}`);
+                error.status = response.status;
+                error.permanent = response.status >= 400 && response.status < 500 &&
+                    ![408, 425, 429].includes(response.status);
+                throw error;
+            }
+            // A 200 alone may be a proxy or an HTML error page: only an explicit ack removes the entry
+            const acknowledged = json.ok === true || json.success === true || json.idempotency_key === entry.id;
+            if (!acknowledged || (json.idempotency_key && json.idempotency_key !== entry.id)) {
+                throw new Error('Submission not confirmed by server');
+            }
+            return json;
+        }
+
+        // Queues the single entry older versions of the contact form left in localStorage,
+        // addressed to the endpoint of the form that now replaces it
+        async function adoptLegacy(url) {
+            try {
+                const legacy = localStorage.getItem('pendingForm');
+                if (!legacy) return null;
+                const entry = createEntry(url, Object.entries(JSON.parse(legacy)));
+                await enqueue(entry);
+                localStorage.removeItem('pendingForm');
+                return entry;
+            } catch (e) {
+                return null;
+            }
+        }
+
+        const listeners = new Set();
+
+        async function enqueue(entry) {
+            const store = await getStore();
+            await store.put(entry);
+            listeners.forEach(fn => fn(entry));
+            return entry;
+        }
+
+        function onEnqueue(fn) {
+            listeners.add(fn);
+            return () => listeners.delete(fn);
+        }
+
+        async function process(store, entry) {
+            try {
+                await send(entry);
+                await store.remove(entry.id);
+                return;
+            } catch (error) {
+                entry.attempts += 1;
+                entry.lastError = error.message;
+                breadcrumbs.add('network', `Queued submission failed: ${error.message}`, { status: error.status || null });
+                if (error.permanent || entry.attempts >= QUEUE_MAX_ATTEMPTS) {
+                    await store.remove(entry.id);
+                    handleError(error, `Submission Queue (dropped after ${entry.attempts} attempts)`);
+                    return;
+                }
+                entry.nextAttemptAt = Date.now() + backoff(entry.attempts);
+                await store.put(entry);
+            }
+        }
+
+        async function runFlush() {
+            const store = await getStore();
+            const now = Date.now();
+            const due = (await store.all())
+                .filter(entry => entry.nextAttemptAt <= now)
+                .sort((a, b) => a.createdAt - b.createdAt);
+            for (const entry of due) {
+                if (!navigator.onLine) break;
+                await process(store, entry);
+            }
+            const remaining = await store.all();
+            return remaining.length;
+        }
+
+        function flush() {
+            if (flushing) return flushing;
+            const run = () => runFlush();
+            // Serialise flushes across tabs where the Web Locks API exists
+            const job = (navigator.locks && navigator.locks.request)
+                ? navigator.locks.request('armanleads-submissions', { ifAvailable: true }, lock => (lock ? run() : null))
+                : run();
+            flushing = Promise.resolve(job)
+                .catch((error) => { handleError(error, 'Submission Queue'); })
+                .finally(() => { flushing = null; });
+            return flushing;
+        }
+
+        async function entries() {
+            const store = await getStore();
+            return store.all();
+        }
+
+        // Time until the earliest pending retry, or null when the queue is empty
+        async function nextDelay() {
+            const pending = await entries();
+            if (!pending.length) return null;
+            const next = Math.min(...pending.map(entry => entry.nextAttemptAt));
+            return Math.max(0, next - Date.now());
+        }
+
+        return { createEntry, send, enqueue, onEnqueue, flush, entries, nextDelay, adoptLegacy };
+    }
+
+    const submissionQueue = createSubmissionQueue();
+
+    // Declarative field validation
+    function normalizeUsPhone(value) {
+        let digits = String(value).replace(/\D/g, '');
+        if (digits.length === 11 && digits[0] === '1') digits = digits.slice(1);
+        // NANP: area code and exchange cannot start with 0 or 1
+        if (!/^[2-9]\d{2}[2-9]\d{6}$/.test(digits)) return null;
+        return `+1${digits}`;
+    }
+
+    // Checks run in this order; the first failing one is reported for a field
+    const FIELD_VALIDATORS = {
+        required: (value, enabled, spec) => {
+            const empty = Array.isArray(value) ? !value.length : !value;
+            return enabled && empty ? t('validation.required', { label: t(spec.label) }) : null;
+        },
+        minSelected: (value, min, spec) => (
+            value.length >= min ? null : t('validation.minSelected', { count: min, label: t(spec.label).toLowerCase() })
+        ),
+        email: (value) => (
+            !value || /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value) ? null : t('validation.email')
+        ),
+        // Throwaway inboxes mean the analysis never reaches anyone
+        notDisposable: (value) => (
+            !value || !isDisposableEmail(value) ? null : t('validation.disposableEmail')
+        ),
+        usPhone: (value) => (
+            !value || normalizeUsPhone(value) ? null : t('validation.usPhone')
+        ),
+        minLength: (value, min, spec) => (
+            !value || value.length >= min ? null : t('validation.minLength', { label: t(spec.label), min })
+        ),
+        maxLength: (value, max, spec) => (
+            value.length <= max ? null : t('validation.maxLength', { label: t(spec.label), max })
+        ),
+        practiceName: (value) => {
+            if (!value) return null;
+            if (/@|https?:\/\/|www\./i.test(value)) {
+                return t('validation.practiceNameNotContact');
+            }
+            const letters = (value.match(/\p{L}/gu) || []).length;
+            if (letters < 2 || /(.)\1{3,}/.test(value) || /^(test|asdf|qwerty|none|n\/?a)$/i.test(value)) {
+                return t('validation.practiceName');
+            }
+            return null;
+        }
+    };
+
+    // Labels and rule messages are message catalog keys
+    const CONTACT_FORM_SCHEMA = {
+        fields: {
+            monthly_new_patients: { label: 'field.monthlyNewPatients', required: true },
+            ad_spend: { label: 'field.adSpend', required: true },
+            services: { label: 'field.services', minSelected: 1 },
+            practice_name: { label: 'field.practiceName', required: true, minLength: 2, maxLength: 120, practiceName: true },
+            email: { label: 'field.email', required: true, email: true, notDisposable: true, maxLength: 254 },
+            phone: { label: 'field.phone', required: true, usPhone: true, normalize: normalizeUsPhone },
+            challenge: { label: 'field.challenge', maxLength: 1000 }
+        },
+        // Cross-field rules run after a field's own checks pass
+        rules: [
+            {
+                field: 'practice_name',
+                test: (values) => !values.email || values.practice_name.toLowerCase() !== values.email.toLowerCase(),
+                message: 'validation.practiceNameEmail'
+            }
+        ]
+    };
+
+    function createFormValidator(form, schema, { onReveal } = {}) {
+        const messages = new Map();
+        const touched = new Set();
+
+        // Error summary at the top of the form, linking to each invalid field
+        const summary = document.createElement('div');
+        summary.className = 'form-error-summary';
+        summary.setAttribute('role', 'alert');
+        summary.setAttribute('tabindex', '-1');
+        summary.hidden = true;
+        form.prepend(summary);
+
+        function controls(name) {
+            const field = form.elements.namedItem(name);
+            if (!field) return [];
+            return field instanceof Element ? [field] : Array.from(field);
+        }
+
+        function isChoice(list) {
+            return list.length > 0 && (list[0].type === 'checkbox' || list[0].type === 'radio');
+        }
+
+        function anchorFor(name) {
+            const list = controls(name);
+            if (!list.length) return null;
+            return isChoice(list) ? (list[0].closest('[data-field-group], fieldset') || list[0]) : list[0];
+        }
+
+        function valueOf(name) {
+            const list = controls(name);
+            if (!list.length) return '';
+            if (list[0].type === 'checkbox') return list.filter(c => c.checked).map(c => c.value);
+            if (list[0].type === 'radio') return (list.find(c => c.checked) || { value: '' }).value;
+            return String(list[0].value).trim();
+        }
+
+        function values() {
+            const result = {};
+            Object.keys(schema.fields).forEach(name => { result[name] = valueOf(name); });
+            return result;
+        }
+
+        function check(name, all) {
+            const spec = schema.fields[name];
+            for (const key of Object.keys(FIELD_VALIDATORS)) {
+                if (spec[key] === undefined || spec[key] === false) continue;
+                const message = FIELD_VALIDATORS[key](all[name], spec[key], spec);
+                if (message) return message;
+            }
+            const failed = (schema.rules || []).find(rule => rule.field === name && !rule.test(all));
+            return failed ? t(failed.message) : null;
+        }
+
+        function ensureId(el, name) {
+            if (!el.id) el.id = `${form.id || 'form'}-${name}`;
+            return el.id;
+        }
+
+        function describe(el, id) {
+            const ids = (el.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+            if (!ids.includes(id)) el.setAttribute('aria-describedby', ids.concat(id).join(' '));
+        }
+
+        function render(name, message) {
+            const anchor = anchorFor(name);
+            if (!anchor) return;
+            const targets = Array.from(new Set([anchor, ...controls(name)]));
+            let node = messages.get(name);
+            if (!node && message) {
+                node = document.createElement('p');
+                node.className = 'field-error';
+                node.id = `${ensureId(anchor, name)}-error`;
+                anchor.after(node);
+                messages.set(name, node);
+                targets.forEach(el => describe(el, node.id));
+            }
+            if (node) {
+                node.textContent = message || '';
+                node.hidden = !message;
+            }
+            targets.forEach(el => el.setAttribute('aria-invalid', String(Boolean(message))));
+        }
+
+        function normalized(all) {
+            const result = { ...all };
+            Object.entries(schema.fields).forEach(([name, spec]) => {
+                if (spec.normalize && result[name]) result[name] = spec.normalize(result[name]) || result[name];
+            });
+            return result;
+        }
+
+        // Validates every schema field inside `scope` and renders inline messages
+        function validate(scope = form) {
+            const all = values();
+            const errors = [];
+            Object.keys(schema.fields).forEach(name => {
+                const list = controls(name);
+                if (!list.some(el => scope.contains(el))) return;
+                const message = check(name, all);
+                render(name, message);
+                if (message) errors.push({ name, message, element: list[0] });
+            });
+            return { valid: !errors.length, errors, values: normalized(all) };
+        }
+
+        function validateField(name) {
+            render(name, check(name, values()));
+            if (!summary.hidden) refreshSummary();
+        }
+
+        function showSummary(errors) {
+            summary.innerHTML = '';
+            if (!errors.length) {
+                summary.hidden = true;
+                return;
+            }
+            const title = document.createElement('p');
+            title.className = 'form-error-summary-title';
+            title.textContent = t('validation.summary', { count: errors.length });
+            const list = document.createElement('ul');
+            errors.forEach(({ name, message, element }) => {
+                const item = document.createElement('li');
+                const link = document.createElement('a');
+                link.href = `#${ensureId(element, name)}`;
+                link.dataset.field = name;
+                link.textContent = message;
+                item.appendChild(link);
+                list.appendChild(item);
+            });
+            summary.append(title, list);
+            summary.hidden = false;
+            summary.focus();
+        }
+
+        // Drop fixed problems from a visible summary without stealing focus
+        function refreshSummary() {
+            summary.querySelectorAll('a[data-field]').forEach(link => {
+                const node = messages.get(link.dataset.field);
+                if (!node || node.hidden) link.parentNode.remove();
+            });
+            if (!summary.querySelector('li')) clearSummary();
+        }
+
+        function clearSummary() {
+            summary.innerHTML = '';
+            summary.hidden = true;
+        }
+
+        function reset() {
+            touched.clear();
+            messages.forEach((node, name) => render(name, null));
+            clearSummary();
+        }
+
+        const fieldName = (target) => (target && target.name && schema.fields[target.name] ? target.name : null);
+
+        const onInput = (e) => {
+            const name = fieldName(e.target);
+            if (!name) return;
+            touched.add(name);
+            // Clear messages live once a field has been flagged
+            const node = messages.get(name);
+            if ((node && !node.hidden) || (e.type === 'change' && isChoice(controls(name)))) validateField(name);
+        };
+
+        // Required fields are checked on the way out even if nothing was typed,
+        // so tabbing past an empty one flags it; optional ones wait for input
+        const onBlur = (e) => {
+            const name = fieldName(e.target);
+            if (!name || !(touched.has(name) || schema.fields[name].required)) return;
+            // Moving between the options of one group hasn't left the field yet
+            if (e.relatedTarget && controls(name).includes(e.relatedTarget)) return;
+            validateField(name);
+        };
+
+        const onSummaryClick = (e) => {
+            const link = e.target.closest('a[data-field]');
+            if (!link) return;
+            e.preventDefault();
+            const target = controls(link.dataset.field)[0];
+            if (!target) return;
+            if (onReveal) onReveal(target);
+            target.focus();
+        };
+
+        form.addEventListener('input', onInput);
+        form.addEventListener('change', onInput);
+        form.addEventListener('focusout', onBlur);
+        summary.addEventListener('click', onSummaryClick);
+
+        return {
+            validate,
+            validateField,
+            showSummary,
+            clearSummary,
+            reset,
+            destroy: () => {
+                form.removeEventListener('input', onInput);
+                form.removeEventListener('change', onInput);
+                form.removeEventListener('focusout', onBlur);
+                summary.removeEventListener('click', onSummaryClick);
+            }
+        };
+    }
+
+    // Component registry: markup opts in with data-al-component="name" and
+    // passes options as data-al-* attributes. Each element gets its own mount
+    // and cleanup, and elements added or removed later are picked up.
+    const COMPONENT_ATTRIBUTE = 'data-al-component';
+
+    // "true", "5000" and JSON-looking values become their typed equivalents
+    function parseOptionValue(raw) {
+        if (raw === 'true' || raw === '') return true;
+        if (raw === 'false') return false;
+        if (raw !== null && raw.trim() !== '' && !isNaN(raw)) return Number(raw);
+        if (/^[[{]/.test(raw)) {
+            try { return JSON.parse(raw); } catch (e) { /* keep the string */ }
+        }
+        return raw;
+    }
+
+    // data-al-rate-limit="5000" -> { rateLimit: 5000 }
+    function readComponentOptions(element) {
+        const options = {};
+        Object.keys(element.dataset).forEach(key => {
+            if (key === 'alComponent' || !/^al[A-Z]/.test(key)) return;
+            const name = key.charAt(2).toLowerCase() + key.slice(3);
+            options[name] = parseOptionValue(element.dataset[key]);
+        });
+        return options;
+    }
+
+    function createComponentRegistry() {
+        const definitions = new Map();
+        const mounted = new Map();
+        let started = false;
+        let observer = null;
+
+        const namesFor = (element) => (element.getAttribute(COMPONENT_ATTRIBUTE) || '').split(/\s+/).filter(Boolean);
+
+        function mountOne(element, name) {
+            const instances = mounted.get(element) || new Map();
+            if (instances.has(name) || !definitions.has(name)) return;
+            try {
+                const cleanup = definitions.get(name)(element, readComponentOptions(element));
+                instances.set(name, typeof cleanup === 'function' ? cleanup : () => {});
+                mounted.set(element, instances);
+            } catch (error) {
+                handleError(error, `Component mount: ${name}`);
+            }
+        }
+
+        function unmountOne(element, name) {
+            const instances = mounted.get(element);
+            if (!instances || !instances.has(name)) return;
+            try {
+                instances.get(name)();
+            } catch (error) {
+                console.warn('Cleanup error:', error);
+            }
+            instances.delete(name);
+            if (!instances.size) mounted.delete(element);
+        }
+
+        // Brings one element in line with its current attribute
+        function sync(element) {
+            const names = element.isConnected ? namesFor(element) : [];
+            Array.from((mounted.get(element) || new Map()).keys())
+                .filter(name => !names.includes(name))
+                .forEach(name => unmountOne(element, name));
+            names.forEach(name => mountOne(element, name));
+        }
+
+        function scan(root = document) {
+            if (root.nodeType !== 1 && root.nodeType !== 9) return;
+            if (root.nodeType === 1 && root.hasAttribute(COMPONENT_ATTRIBUTE)) sync(root);
+            root.querySelectorAll(`[${COMPONENT_ATTRIBUTE}]`).forEach(sync);
+        }
+
+        function handleMutations(records) {
+            let removed = false;
+            records.forEach(record => {
+                if (record.type === 'attributes') {
+                    sync(record.target);
+                    return;
+                }
+                if (record.removedNodes.length) removed = true;
+                record.addedNodes.forEach(node => scan(node));
+            });
+            if (removed) {
+                Array.from(mounted.keys()).filter(element => !element.isConnected).forEach(sync);
+            }
+        }
+
+        /**
+         * Adds a component. `mount(element, options)` may return a cleanup
+         * function, which runs when the element is removed or stops listing
+         * the component.
+         */
+        function register(name, mount) {
+            if (typeof mount !== 'function') throw new TypeError(`Component "${name}" needs a mount function`);
+            if (definitions.has(name)) console.warn(`ArmanLeads: component "${name}" re-registered`);
+            definitions.set(name, mount);
+            if (started) {
+                document.querySelectorAll(`[${COMPONENT_ATTRIBUTE}]`).forEach(element => {
+                    if (namesFor(element).includes(name)) mountOne(element, name);
+                });
+            }
+        }
+
+        function start() {
+            if (started) return;
+            started = true;
+            scan(document);
+            if ('MutationObserver' in window) {
+                observer = new MutationObserver(handleMutations);
+                observer.observe(document.documentElement, {
+                    childList: true,
+                    subtree: true,
+                    attributes: true,
+                    attributeFilter: [COMPONENT_ATTRIBUTE]
+                });
+            }
+        }
+
+        function stop() {
+            if (observer) observer.disconnect();
+            observer = null;
+            started = false;
+            Array.from(mounted.entries()).forEach(([element, instances]) => {
+                Array.from(instances.keys()).forEach(name => unmountOne(element, name));
+            });
+        }
+
+        return {
+            register,
+            start,
+            stop,
+            scan,
+            registered: () => Array.from(definitions.keys()),
+            instances: (name) => Array.from(mounted.entries())
+                .filter(([, instances]) => instances.has(name))
+                .map(([element]) => element)
+        };
+    }
+
+    const components = createComponentRegistry();
+
+    // 1. Enhanced Preloader with proper cleanup
+    function initPreloader() {
+        const pre = document.getElementById('preloader');
+        if (!pre) return () => {};
+        
+        let isHidden = false;
+        
+        const hide = () => {
+            if (isHidden) return;
+            isHidden = true;
+            perf.mark('preloader-hidden');
+            pre.setAttribute('aria-hidden', 'true');
+            pre.classList.add('fade-out');
+            // cleanup listeners
+            window.removeEventListener('load', onLoad);
+            setTimeout(() => {
+                if (pre && pre.parentNode) {
+                    pre.remove();
+                }
+            }, 400);
+            document.documentElement.classList.add('page-loaded');
+        };
+        
+        function onLoad() { hide(); }
+        
+        if (document.readyState === 'complete') {
+            setTimeout(hide, 500);
+        } else {
+            window.addEventListener('load', onLoad, passiveIfSupported);
+        }
+        
+        // Safety timeout
+        setTimeout(hide, 3000);
+        
+        return () => {
+            window.removeEventListener('load', onLoad);
+            if (!isHidden) hide();
+        };
+    }
+
+    // 2. Enhanced sticky navbar with scroll direction detection
+    function initStickyNavbar() {
+        const navbar = document.getElementById('navbar');
+        if (!navbar) return () => {};
+        
+        let lastY = window.scrollY;
+        
+        function onScroll() {
+            const y = window.scrollY;
+            navbar.classList.toggle('scrolled', y > 50);
+            
+            if (y > lastY && y > 120) {
+                // scrolling down
+                navbar.classList.add('nav-up');
+                navbar.classList.remove('nav-down');
+            } else {
+                // scrolling up
+                navbar.classList.add('nav-down');
+                navbar.classList.remove('nav-up');
+            }
+            lastY = y;
+        }
+        
+        const wrappedScroll = onScrollVisual(throttleWithTrailing(onScroll, 120));
+        window.addEventListener('scroll', wrappedScroll, passiveIfSupported);
+        
+        // Initial check
+        wrappedScroll();
+        
+        return () => window.removeEventListener('scroll', wrappedScroll);
+    }
+
+    // 3. Enhanced mobile navigation with focus trap and accessibility
+    function initMobileNav() {
+        const navToggle = document.getElementById('nav-toggle');
+        const navMenu = document.getElementById('nav-menu');
+        if (!navToggle || !navMenu) return () => {};
+
+        function openMenu() {
+            navToggle.setAttribute('aria-expanded', 'true');
+            dialogs.open(navMenu, {
+                label: 'Mobile menu',
+                root: navToggle.closest('nav, header') || navMenu.parentElement,
+                onClose: () => navToggle.setAttribute('aria-expanded', 'false')
+            });
+        }
+
+        function closeMenu() {
+            dialogs.close(navMenu);
+        }
+
+        // Toggle functionality
+        navToggle.addEventListener('click', (e) => {
+            e.preventDefault();
+            if (navMenu.classList.contains('active')) {
+                closeMenu();
+            } else {
+                openMenu();
+            }
+        });
+
+        // Close on outside click
+        const docClick = (e) => {
+            if (navMenu.classList.contains('active') && 
+                !navMenu.contains(e.target) && 
+                !navToggle.contains(e.target)) {
+                closeMenu();
+            }
+        };
+        document.addEventListener('click', docClick);
+
+        // Close on nav link click (mobile only). Synchronously, so the scroll
+        // lock is released before smooth navigation scrolls to the target.
+        const navLinks = navMenu.querySelectorAll('a[href^="#"]');
+        navLinks.forEach(link => {
+            link.addEventListener('click', () => {
+                if (window.innerWidth <= 767) {
+                    closeMenu();
+                }
+            });
+        });
+
+        // Close menu on resize if mobile menu is open
+        const handleResize = debounce(() => {
+            if (navMenu.classList.contains('active') && window.innerWidth > 767) {
+                closeMenu();
+            }
+        }, 250);
+
+        window.addEventListener('resize', handleResize);
+
+        return () => {
+            closeMenu();
+            document.removeEventListener('click', docClick);
+            window.removeEventListener('resize', handleResize);
+        };
+    }
+
+    // 4. Enhanced smooth navigation with robust active link detection
+    function initSmoothNavigation() {
+        const navbar = document.getElementById('navbar');
+        const links = Array.from(document.querySelectorAll('.nav-link[href^="#"]'));
+        const sections = links.map(l => document.querySelector(l.getAttribute('href'))).filter(Boolean);
+        if (!sections.length) return () => {};
+
+        let navbarHeight = navbar ? navbar.offsetHeight : 80;
+        const visibleRatio = new Map();
+
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                visibleRatio.set(entry.target.id, entry.intersectionRatio);
+            });
+            
+            // Pick max visibility
+            let activeId = null, max = 0;
+            visibleRatio.forEach((ratio, id) => {
+                if (ratio > max) { 
+                    max = ratio; 
+                    activeId = id; 
+                }
+            });
+            
+            links.forEach(link => {
+                link.classList.toggle('active', link.getAttribute('href') === `#${activeId}`);
+            });
+        }, {
+            root: null,
+            rootMargin: `-${navbarHeight}px 0px -40% 0px`,
+            threshold: [0, 0.1, 0.25, 0.5, 0.75, 1]
+        });
+
+        sections.forEach(s => observer.observe(s));
+        
+        // Update on resize
+        const onResize = debounce(() => { 
+            navbarHeight = navbar ? navbar.offsetHeight : 80; 
+        }, 200);
+        window.addEventListener('resize', onResize, passiveIfSupported);
+
+        // Smooth click handler
+        links.forEach(link => {
+            link.addEventListener('click', (e) => {
+                const href = link.getAttribute('href');
+                const target = document.querySelector(href);
+                if (!target) return;
+                e.preventDefault();
+                const top = Math.max(0, target.getBoundingClientRect().top + window.scrollY - navbarHeight - 12);
+                window.scrollTo({ top, behavior: 'smooth' });
+            });
+        });
+
+        return () => {
+            observer.disconnect();
+            window.removeEventListener('resize', onResize);
+        };
+    }
+
+    // 5. Enhanced business type selector with proper semantics
+    function initBusinessTypeSelector() {
+        const wrapper = document.querySelector('.business-types');
+        const businessTypeInput = document.getElementById('business-type');
+        if (!wrapper || !businessTypeInput) return () => {};
+        
+        wrapper.setAttribute('role', 'radiogroup');
+        
+        wrapper.addEventListener('click', (e) => {
+            const card = e.target.closest('.business-type-card');
+            if (!card) return;
+            select(card);
+        });
+
+        wrapper.addEventListener('keydown', (e) => {
+            const card = e.target.closest('.business-type-card');
+            if (!card) return;
+            
+            if (e.key === 'Enter' || e.key === ' ') { 
+                e.preventDefault(); 
+                select(card); 
+            }
+            
+            if (e.key === 'ArrowRight' || e.key === 'ArrowLeft') {
+                e.preventDefault();
+                const cards = Array.from(wrapper.querySelectorAll('.business-type-card'));
+                const idx = cards.indexOf(card);
+                const next = e.key === 'ArrowRight' 
+                    ? (idx + 1) % cards.length 
+                    : (idx - 1 + cards.length) % cards.length;
+                if (cards[next]) {
+                    cards[next].focus();
+                }
+            }
+        });
+
+        function select(card, moveFocus = true) {
+            Array.from(wrapper.querySelectorAll('.business-type-card')).forEach(c => {
+                c.classList.remove('active');
+                c.setAttribute('aria-checked', 'false');
+                c.setAttribute('tabindex', '-1');
+                c.setAttribute('role', 'radio');
+            });
+            card.classList.add('active');
+            card.setAttribute('aria-checked', 'true');
+            card.setAttribute('tabindex', '0');
+            const type = card.dataset.type || 'dental';
+            if (businessTypeInput.value !== type) {
+                businessTypeInput.value = type;
+                businessTypeInput.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+            if (moveFocus) card.focus();
+        }
+
+        // Follow values set from elsewhere (e.g. market templating)
+        const onInputChange = () => {
+            const card = wrapper.querySelector(`.business-type-card[data-type="${businessTypeInput.value}"]`);
+            if (card && !card.classList.contains('active')) select(card, false);
+        };
+        businessTypeInput.addEventListener('change', onInputChange);
+
+        // Initialize
+        const active = wrapper.querySelector('.business-type-card.active') || wrapper.querySelector('.business-type-card');
+        if (active) select(active, false);
+
+        return () => {
+            businessTypeInput.removeEventListener('change', onInputChange);
+        };
+    }
+
+    // Multi-step qualification wizard layered over the contact form.
+    // Each `[data-wizard-step]` fieldset becomes one step; without JS they all stay visible.
+    function initLeadWizard(form, { validate, clearErrors }) {
+        const steps = Array.from(form.querySelectorAll('[data-wizard-step]'));
+        if (steps.length < 2) return null;
+
+        const submitBtn = form.querySelector('.btn-submit');
+        let current = 0;
+
+        form.noValidate = true;
+        form.classList.add('is-wizard');
+
+        // Progress indicator built from the step labels
+        const progress = document.createElement('ol');
+        progress.className = 'wizard-progress';
+        progress.setAttribute('aria-label', t('wizard.progress'));
+        steps.forEach((step, i) => {
+            const legend = step.querySelector('legend');
+            const item = document.createElement('li');
+            item.textContent = step.dataset.wizardLabel || (legend ? legend.textContent.trim() : t('wizard.step', { number: i + 1 }));
+            progress.appendChild(item);
+        });
+
+        const status = document.createElement('p');
+        status.className = 'wizard-status';
+        status.setAttribute('aria-live', 'polite');
+        steps[0].before(progress, status);
+
+        const nav = document.createElement('div');
+        nav.className = 'wizard-nav';
+        nav.innerHTML = `
+            <button type="button" class="btn-secondary" data-wizard-back>${t('wizard.back')}</button>
+            <button type="button" class="btn-primary" data-wizard-next>${t('wizard.next')}</button>
+        `;
+        const backBtn = nav.querySelector('[data-wizard-back]');
+        const nextBtn = nav.querySelector('[data-wizard-next]');
+        steps[steps.length - 1].after(nav);
+        if (submitBtn) nav.appendChild(submitBtn);
+
+        function isLastStep() {
+            return current === steps.length - 1;
+        }
+
+        function focusStep(step) {
+            const target = step.querySelector('.business-type-card[tabindex="0"], input:not([type="hidden"]), select, textarea');
+            if (target) target.focus();
+        }
+
+        function showStep(index, moveFocus = true) {
+            current = Math.max(0, Math.min(index, steps.length - 1));
+            steps.forEach((step, i) => { step.hidden = i !== current; });
+            Array.from(progress.children).forEach((item, i) => {
+                item.classList.toggle('is-complete', i < current);
+                item.classList.toggle('is-current', i === current);
+                if (i === current) {
+                    item.setAttribute('aria-current', 'step');
+                } else {
+                    item.removeAttribute('aria-current');
+                }
+            });
+            status.textContent = t('wizard.status', {
+                number: current + 1,
+                total: steps.length,
+                label: progress.children[current].textContent
+            });
+            breadcrumbs.add('form', status.textContent);
+            backBtn.hidden = current === 0;
+            nextBtn.hidden = isLastStep();
+            if (submitBtn) submitBtn.hidden = !isLastStep();
+            if (moveFocus) focusStep(steps[current]);
+        }
+
+        function next() {
+            if (isLastStep() || !validate(steps[current])) return false;
+            clearErrors();
+            showStep(current + 1);
+            return true;
+        }
+
+        function back() {
+            if (current === 0) return;
+            clearErrors();
+            showStep(current - 1);
+        }
+
+        // Show the step holding `element`, e.g. when following an error summary link
+        function reveal(element) {
+            const index = steps.findIndex(step => step.contains(element));
+            if (index !== -1 && index !== current) showStep(index, false);
+        }
+
+        // Structured answers from every step before the contact details
+        function answers() {
+            const result = {};
+            steps.slice(0, -1).forEach(step => {
+                step.querySelectorAll('[name]').forEach(field => {
+                    if (field.type === 'checkbox') {
+                        if (!Array.isArray(result[field.name])) result[field.name] = [];
+                        if (field.checked) result[field.name].push(field.value);
+                    } else if (field.type !== 'radio' || field.checked) {
+                        result[field.name] = field.value;
+                    }
+                });
+            });
+            return result;
+        }
+
+        const keyHandler = (e) => {
+            if (e.altKey && e.key === 'ArrowLeft') {
+                e.preventDefault();
+                back();
+            } else if (e.altKey && e.key === 'ArrowRight') {
+                e.preventDefault();
+                next();
+            } else if (e.key === 'Enter' && !isLastStep() && e.target.matches('input:not([type="checkbox"]), select')) {
+                e.preventDefault();
+                next();
+            }
+        };
+
+        const onBack = () => back();
+        const onNext = () => next();
+        backBtn.addEventListener('click', onBack);
+        nextBtn.addEventListener('click', onNext);
+        form.addEventListener('keydown', keyHandler);
+
+        showStep(0, false);
+
+        return {
+            isLastStep,
+            next,
+            back,
+            answers,
+            reveal,
+            reset: () => showStep(0, false),
+            destroy: () => {
+                backBtn.removeEventListener('click', onBack);
+                nextBtn.removeEventListener('click', onNext);
+                form.removeEventListener('keydown', keyHandler);
+            }
+        };
+    }
+
+    // Bot protection for lead forms. Signals travel with the submission as `bot_signals`
+    // for the server to verify (see dev-server.js); the client only drops obvious bots.
+    const BOT_MIN_FILL_MS = 3000;
+    // The server signs each challenge so it knows it issued it, and may ask for more work
+    const POW_CHALLENGE_URL = '/_pow/challenge';
+    const POW_DIFFICULTY = 14;
+    const POW_TIMEOUT = 8000;
+    const POW_MAX_ATTEMPTS = 1 << 22;
+    // The server rejects challenges over two hours old; solve a new one well before that
+    const POW_MAX_AGE = 90 * 60 * 1000;
+    const DISPOSABLE_EMAIL_DOMAINS = [
+        'mailinator.com', 'guerrillamail.com', 'guerrillamail.net', 'sharklasers.com', '10minutemail.com',
+        'temp-mail.org', 'tempmail.com', 'throwawaymail.com', 'yopmail.com', 'trashmail.com',
+        'getnada.com', 'dispostable.com', 'maildrop.cc', 'fakeinbox.com', 'mintemail.com', 'emailondeck.com'
+    ];
+
+    function isDisposableEmail(email) {
+        const domain = String(email || '').split('@').pop().toLowerCase();
+        return DISPOSABLE_EMAIL_DOMAINS.some(blocked => domain === blocked || domain.endsWith(`.${blocked}`));
+    }
+
+    // Credentials and entity suffixes are all consonants ("Schmidt DMD PC") and say nothing
+    const NAME_SUFFIXES = /\b(dds|dmd|dc|md|do|ms|msd|pc|pa|pllc|llc|lp|inc|ltd|co|rn|np)\b\.?/gi;
+
+    // Keyboard mashing: long consonant runs, keyboard rows or random capitals
+    function looksLikeGibberish(text) {
+        const cleaned = String(text || '').replace(NAME_SUFFIXES, ' ');
+        const letters = cleaned.toLowerCase().replace(/[^a-z]/g, '');
+        if (letters.length < 6) return false;
+        return /[^aeiouy\s\W\d]{6,}/.test(cleaned.toLowerCase()) ||
+            /(asdf|sdfg|qwer|wert|zxcv|hjkl)/.test(letters) ||
+            /[a-z][A-Z][a-z][A-Z]/.test(cleaned);
+    }
+
+    // Runs in a Web Worker: finds a nonce whose SHA-256(challenge:nonce) starts with `difficulty` zero bits
+    function powWorkerSource() {
+        self.onmessage = async (e) => {
+            const { challenge, difficulty, maxAttempts } = e.data;
+            const encoder = new TextEncoder();
+            const started = Date.now();
+            const zeroBits = (bytes) => {
+                let bits = 0;
+                for (const byte of bytes) {
+                    if (byte === 0) { bits += 8; continue; }
+                    bits += Math.clz32(byte) - 24;
+                    break;
+                }
+                return bits;
+            };
+            for (let nonce = 0; nonce < maxAttempts; nonce++) {
+                const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`)));
+                if (zeroBits(digest) >= difficulty) {
+                    const hash = Array.from(digest, b => b.toString(16).padStart(2, '0')).join('');
+                    self.postMessage({ nonce, hash, ms: Date.now() - started });
+                    return;
+                }
+            }
+            self.postMessage({ error: 'exhausted' });
+        };
+    }
+
+    async function fetchPowChallenge() {
+        const response = await fetch(POW_CHALLENGE_URL, { headers: { 'Accept': 'application/json' }, cache: 'no-store' });
+        const json = await response.json().catch(() => ({}));
+        if (!response.ok || typeof json.challenge !== 'string') throw new Error(`No challenge issued (${response.status})`);
+        return { challenge: json.challenge, difficulty: Math.max(POW_DIFFICULTY, Number(json.difficulty) || 0) };
+    }
+
+    let powWorkerUrl = null;
+    function solveProofOfWork(challenge, difficulty = POW_DIFFICULTY) {
+        return new Promise((resolve, reject) => {
+            if (typeof Worker === 'undefined' || !window.crypto || !window.crypto.subtle) {
+                reject(new Error('Proof of work unsupported'));
+                return;
+            }
+            if (!powWorkerUrl) {
+                powWorkerUrl = URL.createObjectURL(new Blob([`(${powWorkerSource})();`], { type: 'text/javascript' }));
+            }
+            const worker = new Worker(powWorkerUrl);
+            worker.onmessage = (e) => {
+                worker.terminate();
+                if (e.data.error) reject(new Error(`Proof of work ${e.data.error}`));
+                else resolve({ challenge, difficulty, ...e.data });
+            };
+            worker.onerror = (e) => {
+                worker.terminate();
+                reject(new Error(e.message || 'Proof of work failed'));
+            };
+            worker.postMessage({ challenge, difficulty, maxAttempts: POW_MAX_ATTEMPTS });
+        });
+    }
+
+    // Watches one form: time to fill, trusted key/pointer activity and a proof-of-work
+    // token started on the first interaction so it is usually ready by submit time
+    function createFormGuard(form) {
+        let mountedAt = Date.now();
+        let firstInteraction = null;
+        let counts = null;
+        let pow = null;
+        let powRequestedAt = 0;
+
+        // Challenges are single-use: after a send that failed without being queued,
+        // the next attempt needs a fresh one
+        function renew() {
+            pow = null;
+        }
+
+        function reset() {
+            mountedAt = Date.now();
+            firstInteraction = null;
+            counts = { keys: 0, pointer: 0, touch: 0, paste: 0, focus: 0, untrusted: 0 };
+            renew();
+        }
+
+        function startProofOfWork() {
+            if (pow && Date.now() - powRequestedAt < POW_MAX_AGE) return pow;
+            powRequestedAt = Date.now();
+            pow = fetchPowChallenge()
+                .then(({ challenge, difficulty }) => solveProofOfWork(challenge, difficulty))
+                .catch(error => {
+                    breadcrumbs.add('form', 'Proof of work unavailable', { reason: error.message });
+                    return null;
+                });
+            return pow;
+        }
+
+        const counterFor = { keydown: 'keys', pointerdown: 'pointer', pointermove: 'pointer', touchstart: 'touch', paste: 'paste', focusin: 'focus' };
+        const onInteraction = (e) => {
+            if (!e.isTrusted) {
+                counts.untrusted += 1;
+                return;
+            }
+            counts[counterFor[e.type]] += 1;
+            if (e.type === 'pointermove') return;
+            if (!firstInteraction) firstInteraction = Date.now();
+            startProofOfWork();
+        };
+        Object.keys(counterFor).forEach(type => form.addEventListener(type, onInteraction, passiveIfSupported));
+
+        function honeypotFilled() {
+            const honeypot = form.querySelector('input[name="website_url"]');
+            return Boolean(honeypot && honeypot.value);
+        }
+
+        function humanActivity() {
+            return counts.keys + counts.pointer + counts.touch > 0;
+        }
+
+        // Silent drop: honeypot filled, or submitted faster than a person could without touching anything
+        function isBot() {
+            return honeypotFilled() || (Date.now() - mountedAt < BOT_MIN_FILL_MS && !humanActivity());
+        }
+
+        async function collect(values = {}) {
+            let timer = null;
+            const timeout = new Promise(resolve => { timer = setTimeout(() => resolve(null), POW_TIMEOUT); });
+            const token = await Promise.race([startProofOfWork(), timeout]);
+            clearTimeout(timer);
+
+            const now = Date.now();
+            const flags = [];
+            if (now - mountedAt < BOT_MIN_FILL_MS) flags.push('fast_fill');
+            if (!humanActivity()) flags.push('no_interaction');
+            if (counts.untrusted) flags.push('synthetic_events');
+            if (!token) flags.push('no_pow');
+            if (navigator.webdriver) flags.push('webdriver');
+            if (isDisposableEmail(values.email)) flags.push('disposable_email');
+            ['practice_name', 'challenge'].forEach(name => {
+                if (looksLikeGibberish(values[name])) flags.push(`gibberish_${name}`);
+            });
+
+            return {
+                elapsed_ms: now - mountedAt,
+                first_interaction_ms: firstInteraction ? firstInteraction - mountedAt : null,
+                interactions: { ...counts },
+                pow: token,
+                honeypot: honeypotFilled(),
+                flags
+            };
+        }
+
+        reset();
+
+        return {
+            isBot,
+            collect,
+            renew,
+            reset,
+            destroy: () => {
+                Object.keys(counterFor).forEach(type => form.removeEventListener(type, onInteraction));
+            }
+        };
+    }
+
+    // Lead scoring: weighted rules over the form answers, engagement and traffic source.
+    // Each rule returns a signal in [-1, 1]; the score is the weighted sum, clamped to 0-100.
+    const LEAD_SCORE_TIERS = { high: 60, low: 35 };
+    const INTENT_KEYWORDS = ['asap', 'urgent', 'ready', 'grow', 'scale', 'budget', 'more patients', 'new patients', 'google ads', 'competitor', 'fill', 'schedule'];
+    // Whole phrases only: "world-class care" or "we're hiring a hygienist" are real practices
+    const NOISE_KEYWORDS = ['i am a student', 'i\'m a student', 'school project', 'class project', 'for a class', 'homework', 'my thesis', 'looking for a job', 'job application', 'looking for work', 'internship', 'just curious', 'just browsing'];
+
+    const SIGNAL_SCALES = {
+        business_type: { orthodontics: 1, dental: 0.7, 'med-spa': 0.7, chiropractic: 0.5 },
+        monthly_new_patients: { '0-10': 0.3, '10-20': 0.8, '20-40': 1, '40+': 0.6 },
+        ad_spend: { 0: 0, '1-1000': 0.4, '1000-3000': 0.8, '3000+': 1 },
+        // Paid clicks searched for the service; tagged campaigns were at least targeted at practices
+        traffic_source: { paid: 1, campaign: 0.6, referral: 0.3, direct: 0 }
+    };
+
+    function keywordHits(text, keywords) {
+        const lower = String(text || '').toLowerCase().replace(/[\u2018\u2019]/g, '\'');
+        return keywords.filter(keyword => new RegExp(`\\b${keyword}\\b`).test(lower)).length;
+    }
+
+    const LEAD_SCORING_RULES = [
+        { id: 'business_type', weight: 15, signal: (s) => SIGNAL_SCALES.business_type[s.business_type] || 0 },
+        { id: 'practice_volume', weight: 15, signal: (s) => SIGNAL_SCALES.monthly_new_patients[s.monthly_new_patients] || 0 },
+        { id: 'ad_spend', weight: 22, signal: (s) => SIGNAL_SCALES.ad_spend[s.ad_spend] || 0 },
+        { id: 'high_value_services', weight: 10, signal: (s) => Math.min(1, s.services.filter(v => v === 'invisalign' || v === 'implants').length / 2 + (s.services.includes('emergency') ? 0.25 : 0)) },
+        { id: 'challenge_intent', weight: 10, signal: (s) => Math.min(1, keywordHits(s.challenge, INTENT_KEYWORDS) / 2) },
+        // Students and job seekers write about the site, not about their practice
+        { id: 'challenge_noise', weight: 30, signal: (s) => (keywordHits(s.challenge, NOISE_KEYWORDS) ? -1 : 0) },
+        { id: 'pricing_interest', weight: 8, signal: (s) => Math.min(1, (s.engagement.sections.pricing || 0) / 20) },
+        { id: 'engagement_depth', weight: 10, signal: (s) => (s.engagement.max_depth >= 75 ? 0.5 : 0) + (s.engagement.active_seconds >= 120 ? 0.5 : 0) },
+        { id: 'traffic_source', weight: 10, signal: (s) => SIGNAL_SCALES.traffic_source[s.source] || 0 }
+    ];
+
+    function trafficSource(touches) {
+        const touch = touches.last || touches.first;
+        if (!touch) return 'direct';
+        if (touch.gclid || touch.wbraid || touch.gbraid || /^(cpc|ppc|paid)/i.test(touch.utm_medium || '')) return 'paid';
+        return touch.utm_source || touch.utm_medium ? 'campaign' : 'referral';
+    }
+
+    // Signals for the scorer from the submitted form data plus page-level context
+    function collectLeadSignals(formData) {
+        const summary = engagement.snapshot() || { sections: {}, max_depth: 0, active_seconds: 0 };
+        return {
+            business_type: formData.get('business_type') || '',
+            monthly_new_patients: formData.get('monthly_new_patients') || '',
+            ad_spend: formData.get('ad_spend') || '',
+            services: formData.getAll('services'),
+            challenge: formData.get('challenge') || '',
+            engagement: summary,
+            source: trafficSource(attribution.get())
+        };
+    }
+
+    function createLeadScorer() {
+        let rules = LEAD_SCORING_RULES.map(rule => ({ ...rule }));
+        const tiers = { ...LEAD_SCORE_TIERS };
+
+        function score(signals) {
+            let total = 0;
+            const matched = {};
+            rules.forEach(rule => {
+                let signal = 0;
+                try {
+                    signal = Math.max(-1, Math.min(1, Number(rule.signal(signals)) || 0));
+                } catch (error) {
+                    handleError(error, `Lead Scoring (${rule.id})`);
+                }
+                if (!signal) return;
+                const points = Math.round(rule.weight * signal);
+                matched[rule.id] = points;
+                total += points;
+            });
+            const value = Math.max(0, Math.min(100, total));
+            const tier = value >= tiers.high ? 'high' : value < tiers.low ? 'low' : 'medium';
+            return { score: value, tier, route: tier === 'high' ? 'call' : 'email', rules: matched };
+        }
+
+        // Reweights rules by id, adds new { id, weight, signal } rules and moves tier thresholds
+        function configure(next = {}) {
+            if (next.weights) {
+                rules.forEach(rule => {
+                    if (typeof next.weights[rule.id] === 'number') rule.weight = next.weights[rule.id];
+                });
+            }
+            if (Array.isArray(next.rules)) {
+                next.rules.filter(rule => rule && rule.id && typeof rule.signal === 'function').forEach(rule => {
+                    rules = rules.filter(existing => existing.id !== rule.id).concat({ weight: 10, ...rule });
+                });
+            }
+            if (next.tiers) Object.assign(tiers, next.tiers);
+        }
+
+        return { score, configure, rules: () => rules.map(({ id, weight }) => ({ id, weight })) };
+    }
+
+    const leadScoring = createLeadScorer();
+
+    // Opens the Calendly modal prefilled; pages without the modal scroll to the call option
+    function routeToCall(prefill, lead) {
+        const request = new CustomEvent('al:open-calendly', { cancelable: true, detail: { prefill, reason: 'lead-score', score: lead.score } });
+        if (!document.dispatchEvent(request)) return;
+        const calendar = document.getElementById('calendar');
+        if (!calendar) return;
+        calendar.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        const cta = calendar.querySelector('a, button');
+        if (cta) cta.focus({ preventScroll: true });
+    }
+
+    // 6. Bulletproof contact form with comprehensive UX improvements.
+    // Mounted on each data-al-component="contact-form"; options:
+    // data-al-success (selector), data-al-endpoint, data-al-method, data-al-rate-limit (ms)
+    function mountContactForm(form, options = {}) {
+        const submitBtn = form.querySelector('.btn-submit, [type="submit"]');
+        const successMessage = document.querySelector(options.success || '#form-success');
+        const endpoint = options.endpoint || form.getAttribute('action') || location.href;
+        const rateLimit = options.rateLimit >= 0 ? options.rateLimit : 5000;
+
+        // Older versions of #contact-form kept one unsent submission in localStorage
+        if (form.id === 'contact-form') submissionQueue.adoptLegacy(endpoint);
+
+        // Create error region for accessibility
+        const errorRegion = document.createElement('div');
+        errorRegion.setAttribute('role', 'status');
+        errorRegion.setAttribute('aria-live', 'polite');
+        errorRegion.className = 'form-error-region';
+        errorRegion.style.cssText = 'color: #ef4444; margin-bottom: 1rem; font-size: 0.9rem; display: none;';
+        form.prepend(errorRegion);
+
+        let lastSubmit = 0;
+        let wizard = null;
+        const guard = createFormGuard(form);
+
+        function setError(msg) {
+            errorRegion.innerText = msg;
+            errorRegion.style.display = 'block';
+            errorRegion.classList.add('show');
+        }
+        
+        function clearError() {
+            errorRegion.innerText = '';
+            errorRegion.style.display = 'none';
+            errorRegion.classList.remove('show');
+        }
+
+        const validator = createFormValidator(form, CONTACT_FORM_SCHEMA, {
+            onReveal: (element) => { if (wizard) wizard.reveal(element); }
+        });
+
+        // Validates `scope`, listing every problem in the summary; returns the result
+        function validate(scope = form) {
+            clearError();
+            const result = validator.validate(scope);
+            if (!result.valid) {
+                breadcrumbs.add('form', 'Validation failed', { fields: result.errors.map(error => error.name) });
+                if (wizard) wizard.reveal(result.errors[0].element);
+                validator.showSummary(result.errors);
+            } else {
+                validator.clearSummary();
+            }
+            return result;
+        }
+
+        wizard = initLeadWizard(form, {
+            validate: (step) => validate(step).valid,
+            clearErrors: () => validator.clearSummary()
+        });
+
+        const submitHandler = async (e) => {
+            e.preventDefault();
+
+            // Submitting from an earlier wizard step just advances it
+            if (wizard && !wizard.isLastStep()) {
+                wizard.next();
+                return;
+            }
+            
+            // Rate limiting
+            if (Date.now() - lastSubmit < rateLimit) {
+                setError(t('form.rateLimited'));
+                return;
+            }
+            
+            const validation = validate();
+            if (!validation.valid) return;
+            
+            // Honeypot or an instant, untouched submission
+            if (guard.isBot()) {
+                breadcrumbs.add('form', 'Submission dropped by bot check');
+                return; // Silent fail for bots
+            }
+            
+            lastSubmit = Date.now();
+            submitBtn.disabled = true;
+            const originalText = submitBtn.innerHTML;
+            submitBtn.innerHTML = `<i class="fas fa-spinner fa-spin"></i> ${t('form.sending')}`;
+
+            const formData = new FormData(form);
+            if (validation.values.phone) formData.set('phone', validation.values.phone);
+            formData.append('timestamp', new Date().toISOString());
+            if (wizard) {
+                formData.append('qualification', JSON.stringify(wizard.answers()));
+            }
+            formData.append('attribution', JSON.stringify(attribution.get()));
+            const lead = leadScoring.score(collectLeadSignals(formData));
+            formData.append('lead_score', JSON.stringify(lead));
+            // 'email' leads get the written analysis; 'call' leads are also offered a call right away
+            formData.append('route', lead.route);
+            formData.append('bot_signals', JSON.stringify(await guard.collect(validation.values)));
+
+            // One idempotency key per submission, shared by the live attempt and any queued retry
+            const entry = submissionQueue.createEntry(
+                endpoint,
+                Array.from(formData.entries()).filter(([, value]) => typeof value === 'string')
+            );
+
+            let queued = false;
+            const saveForRetry = async () => {
+                try {
+                    await submissionQueue.enqueue(entry);
+                    queued = true;
+                    setError(t('form.offlineSaved'));
+                } catch (storageError) {
+                    setError(t('form.connectionIssue'));
+                }
+                throw new Error('offline');
+            };
+
+            try {
+                if (!navigator.onLine) {
+                    await saveForRetry();
+                }
+
+                try {
+                    await submissionQueue.send(entry);
+                } catch (sendError) {
+                    breadcrumbs.add('network', `Form submission failed: ${sendError.message}`, { status: sendError.status || null });
+                    // fetch rejects with a TypeError when the network itself failed
+                    if (sendError instanceof TypeError) await saveForRetry();
+                    throw sendError;
+                }
+
+                // Success handling: the message follows the lead's route
+                if (successMessage) {
+                    successMessage.textContent = t(`lead.${lead.tier}`);
+                    successMessage.classList.add('show');
+                    successMessage.setAttribute('role', 'status');
+                    successMessage.setAttribute('aria-live', 'polite');
+                    successMessage.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                }
+                
+                // Strong leads go straight to booking a call, the rest to the emailed analysis.
+                // Read the contact details before the form resets.
+                const prefill = { name: validation.values.name || formData.get('practice_name') || '', email: validation.values.email || '' };
+
+                // Keep the visitor's business type; the page content follows it
+                const businessTypeInput = form.querySelector('#business-type');
+                const businessType = businessTypeInput ? businessTypeInput.value : null;
+                form.reset();
+                validator.reset();
+                guard.reset();
+                if (wizard) wizard.reset();
+                if (businessTypeInput && businessType) {
+                    businessTypeInput.value = businessType;
+                }
+                
+                // Analytics
+                events.track('lead', { method: options.method || 'audit-form', score: lead.score, tier: lead.tier, route: lead.route, experiments: experiments.active() });
+                markConverted(options.method || 'audit-form');
+                if (lead.route === 'call') routeToCall(prefill, lead);
+                
+                // Hide success message after 10 seconds
+                setTimeout(() => {
+                    if (successMessage) {
+                        successMessage.classList.remove('show');
+                    }
+                }, 10000);
+                
+            } catch (error) {
+                if (error.message !== 'offline') {
+                    setError(t('form.sendError'));
+                }
+                if (!queued) guard.renew();
+                handleError(error, 'Form Submission');
+            } finally {
+                submitBtn.disabled = false;
+                submitBtn.innerHTML = originalText;
+            }
+        };
+        form.addEventListener('submit', submitHandler);
+
+        return () => {
+            form.removeEventListener('submit', submitHandler);
+            validator.destroy();
+            guard.destroy();
+            if (wizard) wizard.destroy();
+            errorRegion.remove();
+        };
+    }
+
+    // Calendly embed messages and the funnel event each stage reports
+    const CALENDLY_ORIGIN = /^https:\/\/([a-z0-9-]+\.)*calendly\.com$/i;
+    const CALENDLY_FUNNEL = {
+        'calendly.profile_page_viewed': 'calendly_profile_viewed',
+        'calendly.event_type_viewed': 'calendly_event_type_viewed',
+        'calendly.date_and_time_selected': 'calendly_date_selected',
+        'calendly.event_scheduled': 'calendly_booked'
+    };
+    const CALENDLY_BOOKING_KEY = 'armanleads:booking';
+
+    function getCalendlyBooking() {
+        try {
+            return JSON.parse(localStorage.getItem(CALENDLY_BOOKING_KEY));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Native scheduler shown in the Calendly modal when the embed can't load.
+    // Slots come from the availability feed until a real booking API exists.
+    const SCHEDULING_SLOTS_URL = '/availability.json';
+    const SCHEDULING_BOOKING_URL = '/book-call';
+    const SCHEDULING_CALL_MINUTES = 15;
+    const SCHEDULING_TIMEOUT = 10000;
+
+    const SCHEDULER_SCHEMA = {
+        fields: {
+            slot: { label: 'field.callTime', required: true },
+            name: { label: 'field.name', required: true, minLength: 2, maxLength: 120 },
+            email: { label: 'field.email', required: true, email: true, maxLength: 254 },
+            phone: { label: 'field.phone', usPhone: true, normalize: normalizeUsPhone }
+        }
+    };
+
+    // Accepts ISO strings or `{ start, end }` objects; returns upcoming slots in order
+    function normalizeSlots(list, now = new Date()) {
+        return (Array.isArray(list) ? list : [])
+            .map(slot => {
+                const start = new Date(typeof slot === 'string' ? slot : slot && slot.start);
+                const end = slot && slot.end ? new Date(slot.end) : new Date(start.getTime() + SCHEDULING_CALL_MINUTES * 60 * 1000);
+                return { start, end };
+            })
+            .filter(slot => !isNaN(slot.start) && !isNaN(slot.end) && slot.start > now)
+            .sort((a, b) => a.start - b.start);
+    }
+
+    function formatIcsDate(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    function escapeIcsText(text) {
+        return String(text).replace(/[\\;,]/g, match => `\\${match}`).replace(/\r?\n/g, '\\n');
+    }
+
+    function createIcsEvent({ uid, start, end, summary, description }) {
+        return [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Arman Leads//Strategy Call//EN',
+            'METHOD:PUBLISH',
+            'BEGIN:VEVENT',
+            `UID:${uid}@armanleads.com`,
+            `DTSTAMP:${formatIcsDate(new Date())}`,
+            `DTSTART:${formatIcsDate(start)}`,
+            `DTEND:${formatIcsDate(end)}`,
+            `SUMMARY:${escapeIcsText(summary)}`,
+            `DESCRIPTION:${escapeIcsText(description)}`,
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ].join('\r\n') + '\r\n';
+    }
+
+    function initSchedulingFallback(container, { onBooked } = {}) {
+        const dayFormat = { weekday: 'short', month: 'short', day: 'numeric' };
+        const timeZoneName = i18n.time(new Date(), { timeZoneName: 'short' }).split(' ').pop();
+        const prefill = (id) => document.getElementById(id)?.value || '';
+
+        let slots = [];
+        let validator = null;
+        let guard = null;
+        let icsUrl = null;
+        let destroyed = false;
+
+        function renderUnavailable() {
+            container.innerHTML = `
+                <div class="scheduler-unavailable">
+                    <p>${t('scheduler.unavailable')}</p>
+                    <a href="mailto:${CONTACT_EMAIL}">${CONTACT_EMAIL}</a>
+                </div>
+            `;
+        }
+
+        // Slots grouped by the visitor's local calendar day
+        function slotsByDay() {
+            const days = new Map();
+            slots.forEach((slot, index) => {
+                const key = slot.start.toLocaleDateString('en-CA');
+                if (!days.has(key)) days.set(key, []);
+                days.get(key).push({ ...slot, index });
+            });
+            return days;
+        }
+
+        function renderTimes(form, dayKey) {
+            const list = form.querySelector('.scheduler-times');
+            const daySlots = slotsByDay().get(dayKey) || [];
+            list.innerHTML = daySlots.map(slot => `
+                <label class="scheduler-option">
+                    <input type="radio" name="slot" value="${slot.index}">
+                    <span>${i18n.time(slot.start)}</span>
+                </label>
+            `).join('');
+        }
+
+        function renderPicker() {
+            const days = Array.from(slotsByDay().entries());
+            container.innerHTML = `
+                <form class="scheduler" novalidate>
+                    <h3>${t('scheduler.title')}</h3>
+                    <p class="scheduler-note">${t('scheduler.note', { zone: timeZoneName })}</p>
+                    <fieldset class="scheduler-group">
+                        <legend>${t('scheduler.day')}</legend>
+                        <div class="scheduler-days">
+                            ${days.map(([key, daySlots], i) => `
+                                <label class="scheduler-option">
+                                    <input type="radio" name="day" value="${key}"${i === 0 ? ' checked' : ''}>
+                                    <span>${i18n.date(daySlots[0].start, dayFormat)}</span>
+                                </label>
+                            `).join('')}
+                        </div>
+                    </fieldset>
+                    <fieldset class="scheduler-group">
+                        <legend>${t('scheduler.time')}</legend>
+                        <div class="scheduler-times"></div>
+                    </fieldset>
+                    <div class="scheduler-fields">
+                        <label for="scheduler-name">${t('scheduler.name')}</label>
+                        <input type="text" id="scheduler-name" name="name" autocomplete="name">
+                        <label for="scheduler-email">${t('scheduler.email')}</label>
+                        <input type="email" id="scheduler-email" name="email" autocomplete="email">
+                        <label for="scheduler-phone">${t('scheduler.phone')}</label>
+                        <input type="tel" id="scheduler-phone" name="phone" autocomplete="tel">
+                    </div>
+                    <p class="scheduler-status" role="status" aria-live="polite"></p>
+                    <button type="submit" class="btn-primary">${t('scheduler.submit')}</button>
+                </form>
+            `;
+
+            const form = container.querySelector('form');
+            // The contact form asks for the practice, not the person
+            form.elements.name.value = prefill('practice-name');
+            form.elements.email.value = prefill('email');
+            form.elements.phone.value = prefill('phone');
+            renderTimes(form, days[0][0]);
+
+            validator = createFormValidator(form, SCHEDULER_SCHEMA);
+            guard = createFormGuard(form);
+
+            form.addEventListener('change', (e) => {
+                if (e.target.name === 'day') renderTimes(form, e.target.value);
+            });
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                submit(form);
+            });
+        }
+
+        async function submit(form) {
+            const status = form.querySelector('.scheduler-status');
+            const button = form.querySelector('button[type="submit"]');
+            const result = validator.validate();
+            if (!result.valid) {
+                validator.showSummary(result.errors);
+                return;
+            }
+            validator.clearSummary();
+            if (guard.isBot()) return;
+
+            button.disabled = true;
+            status.textContent = t('form.sending');
+            const signals = await guard.collect(result.values);
+            if (destroyed) return;
+
+            const slot = slots[Number(result.values.slot)];
+            const entry = submissionQueue.createEntry(SCHEDULING_BOOKING_URL, [
+                ['start', slot.start.toISOString()],
+                ['end', slot.end.toISOString()],
+                ['name', result.values.name],
+                ['email', result.values.email],
+                ['phone', result.values.phone || ''],
+                ['timezone', Intl.DateTimeFormat().resolvedOptions().timeZone || ''],
+                ['attribution', JSON.stringify(attribution.get())],
+                ['bot_signals', JSON.stringify(signals)]
+            ]);
+
+            let queued = false;
+            try {
+                if (!navigator.onLine) throw new TypeError('offline');
+                await submissionQueue.send(entry);
+            } catch (error) {
+                breadcrumbs.add('network', `Fallback booking failed: ${error.message}`, { status: error.status || null });
+                if (!(error instanceof TypeError)) {
+                    status.textContent = t('scheduler.bookError');
+                    button.disabled = false;
+                    guard.renew();
+                    handleError(error, 'Fallback Scheduler');
+                    return;
+                }
+                // Same idempotency key, so the queued retry can't double-book
+                try {
+                    await submissionQueue.enqueue(entry);
+                    queued = true;
+                } catch (storageError) {
+                    status.textContent = t('form.connectionIssue');
+                    button.disabled = false;
+                    guard.renew();
+                    return;
+                }
+            }
+            if (destroyed) return;
+            renderBooked(slot, entry.id, queued);
+            if (onBooked) onBooked({ start: slot.start.toISOString(), end: slot.end.toISOString(), request_id: entry.id, queued });
+        }
+
+        function renderBooked(slot, uid, queued) {
+            const ics = createIcsEvent({
+                uid,
+                start: slot.start,
+                end: slot.end,
+                summary: t('scheduler.eventSummary'),
+                description: t('scheduler.eventDescription')
+            });
+            icsUrl = URL.createObjectURL(new Blob([ics], { type: 'text/calendar' }));
+            const when = t('scheduler.when', {
+                date: i18n.date(slot.start, { weekday: 'long', month: 'long', day: 'numeric' }),
+                time: i18n.time(slot.start, { timeZoneName: 'short' })
+            });
+            container.innerHTML = `
+                <div class="scheduler-booked" role="status" tabindex="-1">
+                    <h3>${t('scheduler.received')}</h3>
+                    <p>${t(queued ? 'scheduler.queued' : 'scheduler.confirmed', { when })}</p>
+                    <a class="btn-secondary" href="${icsUrl}" download="armanleads-strategy-call.ics">${t('scheduler.addToCalendar')}</a>
+                </div>
+            `;
+            container.querySelector('.scheduler-booked').focus();
+        }
+
+        container.innerHTML = `<p class="scheduler-note">${t('scheduler.loading')}</p>`;
+        fetch(SCHEDULING_SLOTS_URL, { headers: { 'Accept': 'application/json' }, cache: 'no-cache' })
+            .then(response => {
+                if (!response.ok) throw new Error(`Scheduling slots error: ${response.status}`);
+                return response.json();
+            })
+            .then(data => {
+                if (destroyed) return;
+                slots = normalizeSlots(data.slots || data.callSlots);
+                if (slots.length) {
+                    renderPicker();
+                } else {
+                    renderUnavailable();
+                }
+            })
+            .catch(error => {
+                if (destroyed) return;
+                console.warn('Scheduling slots unavailable:', error);
+                renderUnavailable();
+            });
+
+        return {
+            destroy() {
+                destroyed = true;
+                if (validator) validator.destroy();
+                if (guard) guard.destroy();
+                if (icsUrl) URL.revokeObjectURL(icsUrl);
+            }
+        };
+    }
+
+    // 7. Enhanced Calendly modal with focus trap and prefill
+    function initCalendlyModal() {
+        const trigger = document.getElementById('calendly-trigger');
+        const modal = document.getElementById('calendly-modal');
+        const iframe = document.getElementById('calendly-iframe');
+        const closeButtons = modal ? modal.querySelectorAll('[data-close-modal]') : [];
+        const loadingElement = modal ? modal.querySelector('.calendly-loading') : null;
+        
+        if (!trigger || !modal || !iframe) return () => {};
+
+        let loadTimer = null;
+        let scheduler = null;
+        // The cross-origin iframe fires `load` even for an error page and never `error`,
+        // so only Calendly's own messages prove the embed rendered
+        let embedReady = false;
+
+        // Swaps the embed for the native scheduler; the modal stays open
+        function showScheduler(reason) {
+            if (scheduler) return;
+            clearTimeout(loadTimer);
+            const container = document.createElement('div');
+            container.className = 'scheduler-container';
+            iframe.hidden = true;
+            if (loadingElement) loadingElement.style.display = 'none';
+            iframe.after(container);
+            events.track('calendly_fallback_shown', { reason });
+            scheduler = initSchedulingFallback(container, {
+                onBooked: (booking) => {
+                    const record = recordBooking(null, booking);
+                    events.track('call_booked', { method: 'fallback-scheduler', ...record, experiments: experiments.active() });
+                }
+            });
+        }
+
+        function openModal(prefill = {}) {
+            dialogs.open(modal, { label: 'Calendly' });
+
+            // Build prefill params
+            const name = prefill.name || document.getElementById('practice-name')?.value || '';
+            const email = prefill.email || document.getElementById('email')?.value || '';
+            
+            if (!iframe.src) {
+                let src = 'https://calendly.com/vrmvn0/meeting';
+                // Calendly only reports booking events to the embedding page when the embed names it
+                const params = new URLSearchParams({ embed_domain: location.hostname, embed_type: 'Inline' });
+                if (name) params.set('name', name);
+                if (email) params.set('email', email);
+                Object.entries(attribution.utmParams()).forEach(([key, value]) => params.set(key, value));
+                src += `?${params.toString()}`;
+                perf.mark('calendly-start');
+                iframe.src = src;
+
+                // No profile or event-type view reported in time: blocked, offline or down
+                loadTimer = setTimeout(() => {
+                    if (embedReady) return;
+                    breadcrumbs.add('network', 'Calendly embed did not render');
+                    showScheduler('timeout');
+                }, SCHEDULING_TIMEOUT);
+            }
+        }
+
+        function closeModal() {
+            dialogs.close(modal);
+        }
+
+        // Event listeners
+        trigger.addEventListener('click', (e) => {
+            e.preventDefault();
+            openModal();
+        });
+
+        closeButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                closeModal();
+            });
+        });
+
+        // Clicks on the backdrop, outside the panel, close it too
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+
+        // Routed leads (see routeToCall) arrive with their form details
+        const openRequestHandler = (e) => {
+            e.preventDefault();
+            openModal(e.detail && e.detail.prefill);
+            events.track('calendly_routed', { reason: e.detail && e.detail.reason, score: e.detail && e.detail.score });
+        };
+        document.addEventListener('al:open-calendly', openRequestHandler);
+
+        // In-page confirmation shown once Calendly reports a scheduled event
+        function showConfirmation() {
+            let panel = modal.querySelector('.calendly-confirmation');
+            if (!panel) {
+                panel = document.createElement('div');
+                panel.className = 'calendly-confirmation';
+                panel.setAttribute('role', 'status');
+                panel.setAttribute('tabindex', '-1');
+                panel.innerHTML = `
+                    <h3>${t('calendly.bookedTitle')}</h3>
+                    <p>${t('calendly.bookedText')}</p>
+                    <button type="button" class="btn-primary">${t('calendly.done')}</button>
+                `;
+                panel.querySelector('button').addEventListener('click', closeModal);
+                iframe.after(panel);
+            }
+            iframe.hidden = true;
+            if (loadingElement) loadingElement.style.display = 'none';
+            panel.hidden = false;
+            panel.focus();
+        }
+
+        function recordBooking(payload, details = {}) {
+            const booking = {
+                event_uri: payload && payload.event ? payload.event.uri : null,
+                invitee_uri: payload && payload.invitee ? payload.invitee.uri : null,
+                ...details,
+                booked_at: new Date().toISOString(),
+                attribution: attribution.get()
+            };
+            try {
+                localStorage.setItem(CALENDLY_BOOKING_KEY, JSON.stringify(booking));
+            } catch (e) { /* the tracked event still carries it */ }
+            markConverted('call');
+            return booking;
+        }
+
+        // Calendly posts `{ event: 'calendly.<stage>', payload }` from its own origin
+        const messageHandler = (e) => {
+            if (!CALENDLY_ORIGIN.test(e.origin) || e.source !== iframe.contentWindow) return;
+            const data = e.data;
+            if (!data || typeof data !== 'object' || !CALENDLY_FUNNEL[data.event]) return;
+
+            const name = CALENDLY_FUNNEL[data.event];
+            breadcrumbs.add('calendly', data.event);
+
+            if (!embedReady && !scheduler) {
+                embedReady = true;
+                clearTimeout(loadTimer);
+                perf.measure('calendly-load', 'calendly-start');
+                if (loadingElement) loadingElement.style.display = 'none';
+            }
+
+            if (data.event === 'calendly.event_scheduled') {
+                const booking = recordBooking(data.payload);
+                events.track(name, { ...booking, experiments: experiments.active() });
+                showConfirmation();
+            } else {
+                events.track(name);
+            }
+        };
+        window.addEventListener('message', messageHandler);
+
+        // Initialize modal state
+        modal.setAttribute('aria-hidden', 'true');
+
+        return () => {
+            clearTimeout(loadTimer);
+            if (scheduler) scheduler.destroy();
+            closeModal();
+            window.removeEventListener('message', messageHandler);
+            document.removeEventListener('al:open-calendly', openRequestHandler);
+        };
+    }
+
+    // 8. Scroll animations with classes and reduced motion respect
+    function initScrollAnimations() {
+        if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) return () => {};
+        
+        const items = document.querySelectorAll('.card, .service-card, .approach-card, .portfolio-card, .pricing-card, .faq-item');
+        if (items.length === 0) return () => {};
+
+        const observerOptions = {
+            root: null,
+            rootMargin: '0px 0px -10% 0px',
+            threshold: 0.08
+        };
+
+        const observer = createIntersectionObserver((entries, obs) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    entry.target.classList.add('is-visible');
+                    obs.unobserve(entry.target);
+                }
+            });
+        }, observerOptions);
+
+        items.forEach(item => {
+            observer.observe(item);
+        });
+
+        return () => observer.disconnect();
+    }
+
+    // 9. Analytics hooks and conversion tracking
+    function initAnalytics() {
+        // Event delegation for tracking
+        const trackingHandler = (e) => {
+            const btn = e.target.closest('[data-track]');
+            if (!btn) return;
+            
+            events.track(btn.dataset.track, { event_category: 'site_action' });
+        };
+
+        // Flush batched events while the page can still send them
+        const pagehideHandler = () => events.flush();
+        const visibilityHandler = () => {
+            if (document.visibilityState === 'hidden') events.flush();
+        };
+
+        document.addEventListener('click', trackingHandler);
+        window.addEventListener('pagehide', pagehideHandler);
+        document.addEventListener('visibilitychange', visibilityHandler);
+
+        return () => {
+            document.removeEventListener('click', trackingHandler);
+            window.removeEventListener('pagehide', pagehideHandler);
+            document.removeEventListener('visibilitychange', visibilityHandler);
+        };
+    }
+
+    // 10. Error handling and recovery
+    function initErrorHandling() {
+        const errorHandler = (e) => {
+            const stack = e.error && e.error.stack;
+            if (isThirdPartyError(e.message, e.filename, stack)) return;
+            handleError(e.error || e, 'Global Error');
+        };
+
+        const rejectionHandler = (e) => {
+            const reason = e.reason;
+            const message = reason && reason.message ? reason.message : String(reason);
+            if (isThirdPartyError(message, null, reason && reason.stack)) return;
+            handleError(reason || e, 'Unhandled Promise Rejection');
+            e.preventDefault(); // Prevent console error
+        };
+
+        // Breadcrumbs for navigation and button clicks
+        const clickHandler = (e) => {
+            const el = e.target.closest('a[href], button, [data-track]');
+            if (!el) return;
+            const label = (el.getAttribute('aria-label') || el.textContent || '').trim().replace(/\s+/g, ' ').slice(0, 60);
+            const href = el.getAttribute('href');
+            breadcrumbs.add(href ? 'navigation' : 'ui.click', label || el.tagName.toLowerCase(), href ? { href } : null);
+        };
+        const onlineHandler = () => breadcrumbs.add('network', 'Connection restored');
+        const offlineHandler = () => breadcrumbs.add('network', 'Connection lost');
+
+        window.addEventListener('error', errorHandler);
+        window.addEventListener('unhandledrejection', rejectionHandler);
+        document.addEventListener('click', clickHandler, true);
+        window.addEventListener('online', onlineHandler);
+        window.addEventListener('offline', offlineHandler);
+
+        return () => {
+            window.removeEventListener('error', errorHandler);
+            window.removeEventListener('unhandledrejection', rejectionHandler);
+            document.removeEventListener('click', clickHandler, true);
+            window.removeEventListener('online', onlineHandler);
+            window.removeEventListener('offline', offlineHandler);
+        };
+    }
+
+    // 11. Offline submission queue flushing
+    function initSubmissionQueue() {
+        let retryTimer = null;
+
+        async function flushAndSchedule() {
+            clearTimeout(retryTimer);
+            retryTimer = null;
+            await submissionQueue.flush();
+            const delay = await submissionQueue.nextDelay();
+            if (delay !== null) {
+                retryTimer = setTimeout(flushAndSchedule, Math.max(delay, 1000));
+            }
+        }
+
+        const onVisibility = () => {
+            if (document.visibilityState === 'visible') flushAndSchedule();
+        };
+        const onLoad = () => flushAndSchedule();
+
+        window.addEventListener('online', flushAndSchedule);
+        document.addEventListener('visibilitychange', onVisibility);
+        const stopListening = submissionQueue.onEnqueue(() => flushAndSchedule());
+
+        if (document.readyState === 'complete') {
+            flushAndSchedule();
+        } else {
+            window.addEventListener('load', onLoad);
+        }
+
+        return () => {
+            clearTimeout(retryTimer);
+            stopListening();
+            window.removeEventListener('online', flushAndSchedule);
+            window.removeEventListener('load', onLoad);
+            document.removeEventListener('visibilitychange', onVisibility);
+        };
+    }
+
+    // 12. Consent banner and preferences dialog
+    function initConsentBanner() {
+        const banner = document.createElement('div');
+        banner.className = 'consent-banner';
+        banner.setAttribute('role', 'region');
+        banner.setAttribute('aria-label', t('consent.label'));
+        banner.hidden = true;
+        banner.innerHTML = `
+            <p>${t('consent.text')}</p>
+            <div class="consent-actions">
+                <button type="button" class="btn-secondary" data-consent="reject">${t('consent.reject')}</button>
+                <button type="button" class="btn-secondary" data-consent="preferences">${t('consent.preferences')}</button>
+                <button type="button" class="btn-primary" data-consent="accept">${t('consent.accept')}</button>
+            </div>
+        `;
+
+        const dialog = document.createElement('div');
+        dialog.className = 'consent-dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'consent-dialog-title');
+        dialog.setAttribute('aria-hidden', 'true');
+        dialog.innerHTML = `
+            <div class="consent-dialog-panel">
+                <h2 id="consent-dialog-title">${t('consent.title')}</h2>
+                <label class="consent-option">
+                    <input type="checkbox" checked disabled>
+                    <span><strong>${t('consent.necessary')}</strong> ${t('consent.necessaryText')}</span>
+                </label>
+                <label class="consent-option">
+                    <input type="checkbox" name="analytics">
+                    <span><strong>${t('consent.analytics')}</strong> ${t('consent.analyticsText')}</span>
+                </label>
+                <label class="consent-option">
+                    <input type="checkbox" name="marketing">
+                    <span><strong>${t('consent.marketing')}</strong> ${t('consent.marketingText')}</span>
+                </label>
+                <div class="consent-actions">
+                    <button type="button" class="btn-secondary" data-consent="cancel">${t('consent.cancel')}</button>
+                    <button type="button" class="btn-primary" data-consent="save">${t('consent.save')}</button>
+                </div>
+            </div>
+        `;
+
+        document.body.append(banner, dialog);
+
+        function syncBanner() {
+            banner.hidden = consent.isDecided();
+        }
+
+        function openDialog() {
+            const current = consent.get();
+            dialog.querySelector('[name="analytics"]').checked = current ? current.categories.analytics : false;
+            dialog.querySelector('[name="marketing"]').checked = current ? current.categories.marketing : false;
+            dialogs.open(dialog, {
+                label: 'Consent preferences',
+                initialFocus: () => dialog.querySelector('[name="analytics"]')
+            });
+        }
+
+        function closeDialog() {
+            dialogs.close(dialog);
+        }
+
+        const clickHandler = (e) => {
+            if (e.target === dialog) {
+                closeDialog();
+                return;
+            }
+            if (e.target.closest('[data-consent-preferences]')) {
+                e.preventDefault();
+                openDialog();
+                return;
+            }
+            const button = e.target.closest('[data-consent]');
+            if (!button) return;
+            switch (button.dataset.consent) {
+                case 'accept':
+                    consent.acceptAll();
+                    break;
+                case 'reject':
+                    consent.rejectAll();
+                    break;
+                case 'preferences':
+                    openDialog();
+                    break;
+                case 'save':
+                    consent.update({
+                        analytics: dialog.querySelector('[name="analytics"]').checked,
+                        marketing: dialog.querySelector('[name="marketing"]').checked
+                    });
+                    closeDialog();
+                    break;
+                case 'cancel':
+                    closeDialog();
+                    break;
+            }
+        };
+        document.addEventListener('click', clickHandler);
+
+        const stopListening = consent.onChange(syncBanner);
+        syncBanner();
+
+        return () => {
+            stopListening();
+            document.removeEventListener('click', clickHandler);
+            closeDialog();
+            banner.remove();
+            dialog.remove();
+        };
+    }
+
+    // 13. Attribution capture for the current page view
+    function initAttribution() {
+        try {
+            attribution.capture();
+        } catch (e) {
+            handleError(e, 'Attribution');
+        }
+        // Move stored touches between session and persistent storage as consent changes
+        return consent.onChange(() => attribution.persist());
+    }
+
+    // 14. Interactive ROI calculator for the pricing section.
+    // Mounted on data-al-component="roi-calculator" with data-al-setup-fee / data-al-monthly-fee
+    const ROI_FIELDS = [
+        { key: 'ltv', label: 'roi.ltv', min: 0, max: 100000, step: 100, value: 3200 },
+        { key: 'patients', label: 'roi.patients', min: 0, max: 500, step: 1, value: 30 },
+        { key: 'close', label: 'roi.close', min: 0, max: 100, step: 5, value: 70 },
+        { key: 'spend', label: 'roi.spend', min: 0, max: 100000, step: 100, value: 1500 }
+    ];
+
+    const currency = { format: (value) => i18n.currency(value) };
+    const wholeNumber = { format: (value) => i18n.number(value, { maximumFractionDigits: 0 }) };
+
+    function calculateRoi({ ltv, patients, close, spend }, { setupFee, monthlyFee }) {
+        const newPatients = patients * (close / 100);
+        const monthlyValue = newPatients * ltv;
+        const monthlyCost = monthlyFee + spend;
+        const breakEvenPatients = ltv > 0 ? Math.ceil(monthlyCost / ltv) : null;
+        return {
+            newPatients,
+            monthlyValue,
+            monthlyCost,
+            firstMonthCost: setupFee + monthlyCost,
+            roi: monthlyCost > 0 ? ((monthlyValue - monthlyCost) / monthlyCost) * 100 : null,
+            breakEvenPatients,
+            firstMonthBreakEven: ltv > 0 ? Math.ceil((setupFee + monthlyCost) / ltv) : null,
+            breakEvenLeads: breakEvenPatients !== null && close > 0 ? Math.ceil(breakEvenPatients / (close / 100)) : null,
+            // Months of the service fee covered by a single patient
+            monthsPerPatient: monthlyFee > 0 ? ltv / monthlyFee : null
+        };
+    }
+
+    function mountRoiCalculator(root, options = {}) {
+        const pricing = {
+            setupFee: parseFloat(options.setupFee) || 597,
+            monthlyFee: parseFloat(options.monthlyFee) || 797
+        };
+        const fallbackMarkup = root.innerHTML;
+
+        // Shared links carry the inputs as roi_* query parameters
+        const query = new URLSearchParams(location.search);
+        const clamp = (field, raw) => {
+            const value = parseFloat(raw);
+            if (!Number.isFinite(value)) return field.value;
+            return Math.min(field.max, Math.max(field.min, value));
+        };
+        const values = {};
+        ROI_FIELDS.forEach(field => { values[field.key] = clamp(field, query.get(`roi_${field.key}`)); });
+
+        root.classList.add('is-interactive');
+        root.innerHTML = `
+            <h4>${t('roi.title')}</h4>
+            <div class="roi-inputs">
+                ${ROI_FIELDS.map(field => `
+                    <label class="roi-field" for="roi-${field.key}">
+                        <span>${t(field.label)}</span>
+                        <input type="number" id="roi-${field.key}" name="roi_${field.key}" inputmode="decimal"
+                            min="${field.min}" max="${field.max}" step="${field.step}" value="${values[field.key]}">
+                    </label>
+                `).join('')}
+            </div>
+            <dl class="roi-outputs">
+                <div><dt>${t('roi.newPatients')}</dt><dd data-roi="newPatients"></dd></div>
+                <div><dt>${t('roi.monthlyValue')}</dt><dd data-roi="monthlyValue"></dd></div>
+                <div><dt>${t('roi.monthlyCost')}</dt><dd data-roi="monthlyCost"></dd></div>
+                <div><dt>${t('roi.breakEven')}</dt><dd data-roi="breakEven"></dd></div>
+            </dl>
+            <p class="roi-result" data-roi="roi"></p>
+            <div class="roi-share">
+                <button type="button" class="btn-secondary" data-roi-share>${t('roi.share')}</button>
+            </div>
+            <p class="visually-hidden" aria-live="polite" data-roi-announce></p>
+        `;
+
+        const out = (key) => root.querySelector(`[data-roi="${key}"]`);
+        const announcer = root.querySelector('[data-roi-announce]');
+        let interacted = false;
+
+        function shareUrl() {
+            const url = new URL(location.href);
+            ROI_FIELDS.forEach(field => url.searchParams.set(`roi_${field.key}`, values[field.key]));
+            return url.toString();
+        }
+
+        function render() {
+            const result = calculateRoi(values, pricing);
+            out('newPatients').textContent = wholeNumber.format(result.newPatients);
+            out('monthlyValue').textContent = currency.format(result.monthlyValue);
+            out('monthlyCost').textContent = t('roi.costDetail', {
+                monthly: currency.format(result.monthlyCost),
+                firstMonth: currency.format(result.firstMonthCost),
+                setup: currency.format(pricing.setupFee)
+            });
+            out('breakEven').textContent = result.breakEvenPatients === null
+                ? t('roi.needLtv')
+                : t('roi.breakEvenPatients', { count: result.breakEvenPatients }) +
+                  (result.breakEvenLeads !== null ? t('roi.breakEvenLeads', { count: result.breakEvenLeads }) : '') +
+                  t('roi.breakEvenFirstMonth', { count: result.firstMonthBreakEven });
+            out('roi').textContent = result.roi === null
+                ? t('roi.resultNone')
+                : t('roi.result', { roi: wholeNumber.format(result.roi) }) +
+                  (result.monthsPerPatient >= 2 ? t('roi.monthsPerPatient', { count: Math.floor(result.monthsPerPatient) }) : '');
+            return result;
+        }
+
+        const announce = debounce(() => {
+            const result = calculateRoi(values, pricing);
+            announcer.textContent = result.roi === null
+                ? t('roi.announceNone', { value: currency.format(result.monthlyValue) })
+                : t('roi.announce', { value: currency.format(result.monthlyValue), roi: wholeNumber.format(result.roi) });
+        }, 800);
+
+        const syncUrl = debounce(() => {
+            history.replaceState(history.state, '', shareUrl());
+        }, 500);
+
+        const trackUse = debounce(() => {
+            events.track('roi_calculated', { ...values });
+        }, 2000);
+
+        const inputHandler = (e) => {
+            const field = ROI_FIELDS.find(f => e.target.name === `roi_${f.key}`);
+            if (!field || e.target.value === '') return;
+            values[field.key] = clamp(field, e.target.value);
+            interacted = true;
+            render();
+            announce();
+            syncUrl();
+            trackUse();
+        };
+
+        const clickHandler = async (e) => {
+            if (!e.target.closest('[data-roi-share]')) return;
+            const url = shareUrl();
+            events.track('roi_shared', { ...values });
+            try {
+                await navigator.clipboard.writeText(url);
+                announcer.textContent = t('roi.copied');
+            } catch (err) {
+                announcer.textContent = t('roi.copyManually', { url });
+            }
+        };
+
+        root.addEventListener('input', inputHandler);
+        root.addEventListener('click', clickHandler);
+        render();
+
+        return () => {
+            root.removeEventListener('input', inputHandler);
+            root.removeEventListener('click', clickHandler);
+            if (!interacted) {
+                root.innerHTML = fallbackMarkup;
+                root.classList.remove('is-interactive');
+            }
+        };
+    }
+
+    // 15. Market and vertical templating from a JSON config
+    const CONTENT_CONFIG_URL = '/markets.json';
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // Later sources win; arrays are replaced wholesale
+    function deepMerge(target, ...sources) {
+        sources.forEach(source => {
+            if (!isPlainObject(source)) return;
+            Object.keys(source).forEach(key => {
+                target[key] = isPlainObject(source[key])
+                    ? deepMerge(isPlainObject(target[key]) ? target[key] : {}, source[key])
+                    : source[key];
+            });
+        });
+        return target;
+    }
+
+    function interpolate(value, tokens) {
+        if (typeof value === 'string') {
+            return value.replace(/\{\{(\w+)\}\}/g, (match, key) => (tokens[key] !== undefined ? tokens[key] : match));
+        }
+        if (Array.isArray(value)) return value.map(item => interpolate(item, tokens));
+        if (isPlainObject(value)) {
+            const result = {};
+            Object.keys(value).forEach(key => { result[key] = interpolate(value[key], tokens); });
+            return result;
+        }
+        return value;
+    }
+
+    function getPath(object, path) {
+        return path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), object);
+    }
+
+    function resolveContent(config, marketKey, verticalKey) {
+        const market = config.markets[marketKey];
+        const vertical = config.verticals[verticalKey];
+        const content = deepMerge(
+            {},
+            config.templates,
+            vertical.content,
+            market.content,
+            market.verticals && market.verticals[verticalKey]
+        );
+        const tokens = {};
+        Object.keys(market).forEach(key => {
+            if (typeof market[key] === 'string') tokens[key] = market[key];
+        });
+        return interpolate(content, { ...tokens, ...vertical.vocabulary });
+    }
+
+    // The query string wins over path segments such as /omaha/chiropractic/
+    function detectMarket(config) {
+        const params = new URLSearchParams(location.search);
+        const segments = location.pathname.toLowerCase().split('/').filter(Boolean);
+        const pick = (collection, queryKey) => {
+            const fromQuery = (params.get(queryKey) || '').toLowerCase();
+            if (collection[fromQuery]) return fromQuery;
+            return segments.find(segment => collection[segment]) || null;
+        };
+        return {
+            market: pick(config.markets, 'market') || config.defaultMarket,
+            vertical: pick(config.verticals, 'vertical') || config.defaultVertical
+        };
+    }
+
+    const content = {
+        config: null,
+        market: null,
+        vertical: null,
+        apply: () => false
+    };
+
+    function initContentTemplating() {
+        const businessTypeInput = document.getElementById('business-type');
+        const metaDescription = document.querySelector('meta[name="description"]');
+        let cancelled = false;
+
+        function apply(marketKey, verticalKey) {
+            const config = content.config;
+            if (!config || !config.markets[marketKey] || !config.verticals[verticalKey]) return false;
+            const resolved = resolveContent(config, marketKey, verticalKey);
+
+            document.querySelectorAll('[data-content]').forEach(el => {
+                if (el.dataset.experiment) return;
+                const value = getPath(resolved, el.dataset.content);
+                if (typeof value === 'string') el.textContent = value;
+            });
+            if (resolved.meta) {
+                if (resolved.meta.title) document.title = resolved.meta.title;
+                if (resolved.meta.description && metaDescription) {
+                    metaDescription.setAttribute('content', resolved.meta.description);
+                }
+            }
+            document.documentElement.dataset.market = marketKey;
+            document.documentElement.dataset.vertical = verticalKey;
+            content.market = marketKey;
+            content.vertical = verticalKey;
+
+            // The business type selector follows the vertical being shown
+            if (businessTypeInput && businessTypeInput.value !== verticalKey) {
+                businessTypeInput.value = verticalKey;
+                businessTypeInput.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+            breadcrumbs.add('content', `Rendered ${marketKey}/${verticalKey}`);
+            return true;
+        }
+
+        // ...and the content follows the business type a visitor picks
+        const onBusinessTypeChange = () => {
+            const vertical = businessTypeInput.value;
+            if (content.market && vertical !== content.vertical && content.config.verticals[vertical]) {
+                apply(content.market, vertical);
+            }
+        };
+        if (businessTypeInput) businessTypeInput.addEventListener('change', onBusinessTypeChange);
+
+        content.apply = apply;
+
+        fetch(CONTENT_CONFIG_URL, { headers: { 'Accept': 'application/json' } })
+            .then(response => {
+                if (!response.ok) throw new Error(`Content config error: ${response.status}`);
+                return response.json();
+            })
+            .then(config => {
+                if (cancelled) return;
+                content.config = config;
+                const { market, vertical } = detectMarket(config);
+                apply(market, vertical);
+            })
+            .catch(error => handleError(error, 'Content Templating'));
+
+        return () => {
+            cancelled = true;
+            if (businessTypeInput) businessTypeInput.removeEventListener('change', onBusinessTypeChange);
+        };
+    }
+
+    // 16. Client-side A/B experiments
+    const EXPERIMENTS_SCRIPT_ID = 'al-experiments';
+    const EXPERIMENT_STORAGE_KEY = 'armanleads:experiments';
+    const EXPERIMENT_PENDING_CLASS = 'al-exp-pending';
+    const EXPERIMENT_OVERRIDE_PARAM = 'al_variant';
+
+    function getVisitorId() {
+        try {
+            let id = localStorage.getItem('armanleads:visitor');
+            if (!id) {
+                id = createIdempotencyKey();
+                localStorage.setItem('armanleads:visitor', id);
+            }
+            return id;
+        } catch (e) {
+            return getSessionId();
+        }
+    }
+
+    // Deterministic point in [0, 1) for a visitor/experiment pair
+    function bucketFor(seed) {
+        return parseInt(hashString(seed), 16) / 0x100000000;
+    }
+
+    function pickVariant(experiment, visitorId) {
+        const variants = experiment.variants.filter(v => (v.weight === undefined ? 1 : v.weight) > 0);
+        const weightOf = (v) => (v.weight === undefined ? 1 : v.weight);
+        const total = variants.reduce((sum, v) => sum + weightOf(v), 0);
+        let point = bucketFor(`${visitorId}:${experiment.id}`) * total;
+        for (const variant of variants) {
+            if (point < weightOf(variant)) return variant;
+            point -= weightOf(variant);
+        }
+        return variants[variants.length - 1] || null;
+    }
+
+    function applyVariantChanges(experimentId, variant) {
+        (variant.changes || []).forEach(change => {
+            document.querySelectorAll(change.selector).forEach(el => {
+                if (typeof change.text === 'string') el.textContent = change.text;
+                if (change.attrs) {
+                    Object.keys(change.attrs)
+                        .filter(name => !/^on/i.test(name))
+                        .forEach(name => el.setAttribute(name, change.attrs[name]));
+                }
+                if (change.addClass) el.classList.add(...[].concat(change.addClass));
+                if (change.removeClass) el.classList.remove(...[].concat(change.removeClass));
+                if (change.hide) el.hidden = true;
+                // Marks the element as owned by the experiment so templating leaves it alone
+                el.dataset.experiment = experimentId;
+            });
+        });
+    }
+
+    function createExperiments() {
+        let definitions = [];
+        let assignments = {};
+
+        function readDefinitions() {
+            const node = document.getElementById(EXPERIMENTS_SCRIPT_ID);
+            if (!node) return [];
+            try {
+                const parsed = JSON.parse(node.textContent);
+                return (Array.isArray(parsed) ? parsed : []).filter(exp =>
+                    exp && exp.id && Array.isArray(exp.variants) && exp.variants.length && exp.active !== false);
+            } catch (e) {
+                handleError(e, 'Experiments');
+                return [];
+            }
+        }
+
+        // QA override: ?al_variant=hero-headline:revenue,cta-offer:control
+        function readOverrides() {
+            const overrides = {};
+            const raw = new URLSearchParams(location.search).get(EXPERIMENT_OVERRIDE_PARAM) || '';
+            raw.split(',').forEach(pair => {
+                const [experiment, variant] = pair.split(':').map(part => (part || '').trim());
+                if (experiment && variant) overrides[experiment] = variant;
+            });
+            return overrides;
+        }
+
+        function readStored() {
+            try {
+                return JSON.parse(localStorage.getItem(EXPERIMENT_STORAGE_KEY)) || {};
+            } catch (e) {
+                return {};
+            }
+        }
+
+        function run() {
+            definitions = readDefinitions();
+            const stored = readStored();
+            const overrides = readOverrides();
+            const visitorId = getVisitorId();
+            assignments = {};
+
+            definitions.forEach(experiment => {
+                const find = (id) => experiment.variants.find(v => v.id === id);
+                const forced = overrides[experiment.id] && find(overrides[experiment.id]);
+                const variant = forced || find(stored[experiment.id]) || pickVariant(experiment, visitorId);
+                if (!variant) return;
+                assignments[experiment.id] = variant.id;
+                // QA overrides are not remembered, so they never skew real buckets
+                if (!forced) stored[experiment.id] = variant.id;
+                applyVariantChanges(experiment.id, variant);
+            });
+
+            try {
+                localStorage.setItem(EXPERIMENT_STORAGE_KEY, JSON.stringify(stored));
+            } catch (e) { /* assignment stays stable through the hash */ }
+
+            return { ...assignments };
+        }
+
+        return {
+            run,
+            active: () => ({ ...assignments }),
+            definitions: () => definitions.slice()
+        };
+    }
+
+    const experiments = createExperiments();
+
+    function initExperiments() {
+        try {
+            const assigned = experiments.run();
+            Object.keys(assigned).forEach(id => {
+                events.track('experiment_exposure', { experiment: id, variant: assigned[id] });
+            });
+        } catch (e) {
+            handleError(e, 'Experiments');
+        } finally {
+            document.documentElement.classList.remove(EXPERIMENT_PENDING_CLASS);
+        }
+        return () => {};
+    }
+
+    // 17. Live availability feed for scarcity messaging
+    const AVAILABILITY_FEED_URL = '/availability.json';
+    const AVAILABILITY_DEFAULT_MAX_AGE_HOURS = 48;
+    const AVAILABILITY_REFRESH = 5 * 60 * 1000;
+
+    // Whole calendar days between two dates in the visitor's timezone
+    function calendarDaysBetween(from, to) {
+        const start = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+        const end = new Date(to.getFullYear(), to.getMonth(), to.getDate());
+        return Math.round((end - start) / DAY_MS);
+    }
+
+    // "today", "tomorrow", "in 3 days"; null outside the next month
+    function relativeDays(date, now = new Date()) {
+        const days = calendarDaysBetween(now, date);
+        if (days < 0 || days > 31) return null;
+        const text = i18n.relative(days, 'day');
+        if (text) return text;
+        return days === 0 ? 'today' : days === 1 ? 'tomorrow' : `in ${days} days`;
+    }
+
+    function capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    // Month ("2026-10") the feed's timezone is currently in
+    function currentMonthIn(timeZone) {
+        try {
+            const parts = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit' }).formatToParts(new Date());
+            const get = (type) => parts.find(part => part.type === type).value;
+            return `${get('year')}-${get('month')}`;
+        } catch (e) {
+            const now = new Date();
+            return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+        }
+    }
+
+    // Each message resolves to text, or null when it must stay hidden
+    const AVAILABILITY_MESSAGES = {
+        slots: (feed) => {
+            const slots = feed.clientSlots;
+            if (!slots || !(slots.open > 0)) return null;
+            if (slots.month && slots.month !== currentMonthIn(feed.timezone || 'America/Chicago')) return null;
+            return t('availability.spots', { count: slots.open });
+        },
+        'start-date': (feed, now) => {
+            const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(feed.nextStartDate || '');
+            if (!match) return null;
+            const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+            if (calendarDaysBetween(now, date) < 0) return null;
+            const label = i18n.date(date, { month: 'long', day: 'numeric' });
+            const relative = calendarDaysBetween(now, date) <= 14 ? relativeDays(date, now) : null;
+            return t('availability.startDate', { date: label + (relative ? ` (${relative})` : '') });
+        },
+        'next-call': (feed, now) => {
+            const next = (feed.callSlots || [])
+                .map(slot => new Date(slot))
+                .filter(date => !isNaN(date) && date > now)
+                .sort((a, b) => a - b)[0];
+            if (!next) return null;
+            // Shown in the visitor's own timezone
+            const time = i18n.time(next, { timeZoneName: 'short' });
+            const days = calendarDaysBetween(now, next);
+            if (days <= 1) return t('availability.nextCall', { when: `${capitalize(relativeDays(next, now))} ${time}` });
+            const weekday = i18n.date(next, { weekday: 'long', month: 'short', day: 'numeric' });
+            return t('availability.nextCall', { when: `${weekday} ${time}` + (days <= 6 ? ` (${relativeDays(next, now)})` : '') });
+        }
+    };
+
+    function isFeedFresh(feed, now) {
+        const generated = new Date(feed && feed.generatedAt);
+        if (isNaN(generated)) return false;
+        const maxAge = (feed.maxAgeHours > 0 ? feed.maxAgeHours : AVAILABILITY_DEFAULT_MAX_AGE_HOURS) * 60 * 60 * 1000;
+        return now - generated <= maxAge && generated - now < 60 * 60 * 1000;
+    }
+
+    function initAvailability() {
+        const targets = Array.from(document.querySelectorAll('[data-availability]'));
+        if (!targets.length) return () => {};
+
+        let feed = null;
+        let cancelled = false;
+
+        // Stale scarcity copy is worse than none, so hide it until the feed checks out
+        const setVisible = (el, visible) => {
+            if (visible) {
+                el.removeAttribute('data-availability-hidden');
+            } else {
+                el.setAttribute('data-availability-hidden', '');
+            }
+        };
+        targets.forEach(el => setVisible(el, false));
+
+        function render() {
+            const now = new Date();
+            const fresh = isFeedFresh(feed, now);
+            targets.forEach(el => {
+                const message = AVAILABILITY_MESSAGES[el.dataset.availability];
+                const text = fresh && message ? message(feed, now) : null;
+                if (text) {
+                    const valueNode = el.querySelector('[data-availability-value]') || el;
+                    valueNode.textContent = text;
+                }
+                setVisible(el, Boolean(text));
+            });
+        }
+
+        fetch(AVAILABILITY_FEED_URL, { headers: { 'Accept': 'application/json' }, cache: 'no-cache' })
+            .then(response => {
+                if (!response.ok) throw new Error(`Availability feed error: ${response.status}`);
+                return response.json();
+            })
+            .then(data => {
+                if (cancelled) return;
+                feed = data;
+                render();
+            })
+            .catch(error => {
+                // Messages stay hidden; a missing feed is not worth an error report
+                console.warn('Availability feed unavailable:', error);
+            });
+
+        // Keep relative phrasing and passed call slots current
+        const refreshTimer = setInterval(() => {
+            if (feed && document.visibilityState === 'visible') render();
+        }, AVAILABILITY_REFRESH);
+
+        return () => {
+            cancelled = true;
+            clearInterval(refreshTimer);
+        };
+    }
+
+    // 18. FAQ accordion with deep links, filtering and FAQPage structured data.
+    // Mounted on data-al-component="faq"; each `.faq-item` is a heading plus answer.
+    const FAQ_SCHEMA_ID = 'al-faq-schema';
+
+    function slugify(text, maxLength = 60) {
+        return text.toLowerCase()
+            .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .slice(0, maxLength)
+            .replace(/^-+|-+$/g, '');
+    }
+
+    function buildFaqSchema(entries) {
+        return {
+            '@context': 'https://schema.org',
+            '@type': 'FAQPage',
+            mainEntity: entries.map(({ question, answer }) => ({
+                '@type': 'Question',
+                name: question,
+                acceptedAnswer: { '@type': 'Answer', text: answer }
+            }))
+        };
+    }
+
+    function mountFaq(section, options = {}) {
+        const items = Array.from(section.querySelectorAll('.faq-item')).map((item, index) => {
+            const heading = item.querySelector('h3');
+            if (!heading) return null;
+            const question = heading.textContent.trim();
+            const id = item.id || `faq-${slugify(question) || index + 1}`;
+            const answerNodes = Array.from(item.childNodes).filter(node => node !== heading);
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'faq-question';
+            button.id = `${id}-question`;
+            button.setAttribute('aria-expanded', 'false');
+            button.setAttribute('aria-controls', `${id}-answer`);
+            button.textContent = question;
+
+            const answer = document.createElement('div');
+            answer.className = 'faq-answer';
+            answer.id = `${id}-answer`;
+            answer.setAttribute('role', 'region');
+            answer.setAttribute('aria-labelledby', button.id);
+            answer.hidden = true;
+
+            const body = document.createElement('div');
+            body.className = 'faq-answer-body';
+            answerNodes.forEach(node => body.appendChild(node));
+
+            const feedback = document.createElement('div');
+            feedback.className = 'faq-feedback';
+            feedback.innerHTML = `
+                <span>${t('faq.helpful')}</span>
+                <button type="button" data-faq-helpful="yes">${t('faq.yes')}</button>
+                <button type="button" data-faq-helpful="no">${t('faq.no')}</button>
+            `;
+            answer.append(body, feedback);
+
+            const hadId = Boolean(item.id);
+            item.id = id;
+            heading.textContent = '';
+            heading.appendChild(button);
+            item.appendChild(answer);
+            return { item, id, hadId, question, heading, button, answer, body, feedback };
+        }).filter(Boolean);
+
+        if (!items.length) return () => {};
+
+        const findById = (id) => items.find(entry => entry.id === id || entry.answer.id === id || entry.button.id === id);
+
+        function setOpen(entry, open, { updateHash = true } = {}) {
+            entry.button.setAttribute('aria-expanded', String(open));
+            entry.answer.hidden = !open;
+            entry.item.classList.toggle('is-open', open);
+            if (!updateHash) return;
+            // replaceState keeps the page from jumping and the back button from filling up
+            const base = location.pathname + location.search;
+            if (open) {
+                history.replaceState(history.state, '', `${base}#${entry.id}`);
+            } else if (location.hash === `#${entry.id}`) {
+                history.replaceState(history.state, '', base);
+            }
+        }
+
+        // Search box and result count, inserted above the first question
+        const search = document.createElement('div');
+        search.className = 'faq-search';
+        const searchId = `${section.id || 'faq'}-search`;
+        search.innerHTML = `
+            <label for="${searchId}" class="visually-hidden">${t('faq.search')}</label>
+            <input type="search" id="${searchId}" autocomplete="off">
+            <p class="faq-search-status" role="status" aria-live="polite"></p>
+        `;
+        items[0].item.before(search);
+        const searchInput = search.querySelector('input');
+        const searchStatus = search.querySelector('.faq-search-status');
+        searchInput.placeholder = options.placeholder || t('faq.searchPlaceholder');
+
+        // Visitors type names and practice details into search; report only the shape of the query
+        const trackSearch = debounce((term, matches) => {
+            events.track('faq_search', { length: term.length, words: term.split(/\s+/).length, matches });
+        }, 1500);
+
+        function filter(term) {
+            const words = term.toLowerCase().split(/\s+/).filter(Boolean);
+            let matches = 0;
+            items.forEach(entry => {
+                const text = `${entry.question} ${entry.body.textContent}`.toLowerCase();
+                const match = words.every(word => text.includes(word));
+                entry.item.hidden = !match;
+                if (match) matches += 1;
+            });
+            if (!words.length) {
+                searchStatus.textContent = '';
+                return;
+            }
+            searchStatus.textContent = matches
+                ? t('faq.matches', { count: matches, term: term.trim() })
+                : t('faq.noMatches');
+            trackSearch(term.trim(), matches);
+        }
+
+        // Deep links: #faq-<slug> opens, reveals and focuses that question
+        function openFromHash() {
+            const entry = location.hash.length > 1 ? findById(decodeURIComponent(location.hash.slice(1))) : null;
+            if (!entry) return;
+            if (entry.item.hidden) {
+                searchInput.value = '';
+                filter('');
+            }
+            setOpen(entry, true, { updateHash: false });
+            entry.item.scrollIntoView({ block: 'start' });
+            entry.button.focus({ preventScroll: true });
+            events.track('faq_open', { question: entry.id, source: 'link' });
+        }
+
+        // Schema is generated from the same DOM the visitor reads
+        function syncSchema() {
+            let script = document.getElementById(FAQ_SCHEMA_ID);
+            if (!script) {
+                script = document.createElement('script');
+                script.type = 'application/ld+json';
+                script.id = FAQ_SCHEMA_ID;
+                document.head.appendChild(script);
+            }
+            script.textContent = JSON.stringify(buildFaqSchema(items.map(entry => ({
+                question: entry.button.textContent.trim(),
+                answer: entry.body.textContent.replace(/\s+/g, ' ').trim()
+            }))));
+        }
+        const scheduleSchema = debounce(syncSchema, 250);
+        const contentObserver = 'MutationObserver' in window ? new MutationObserver(scheduleSchema) : null;
+        if (contentObserver) {
+            items.forEach(entry => {
+                contentObserver.observe(entry.button, { childList: true, characterData: true, subtree: true });
+                contentObserver.observe(entry.body, { childList: true, characterData: true, subtree: true });
+            });
+        }
+
+        const clickHandler = (e) => {
+            const vote = e.target.closest('[data-faq-helpful]');
+            if (vote) {
+                const entry = items.find(candidate => candidate.feedback.contains(vote));
+                if (!entry) return;
+                events.track('faq_feedback', { question: entry.id, helpful: vote.dataset.faqHelpful === 'yes' });
+                entry.feedback.innerHTML = `<span role="status">${t('faq.thanks')}</span>`;
+                return;
+            }
+            const button = e.target.closest('.faq-question');
+            const entry = button && items.find(candidate => candidate.button === button);
+            if (!entry) return;
+            const open = entry.answer.hidden;
+            setOpen(entry, open);
+            if (open) events.track('faq_open', { question: entry.id, source: 'click' });
+        };
+
+        const inputHandler = (e) => {
+            if (e.target === searchInput) filter(searchInput.value);
+        };
+
+        section.addEventListener('click', clickHandler);
+        section.addEventListener('input', inputHandler);
+        window.addEventListener('hashchange', openFromHash);
+        syncSchema();
+        openFromHash();
+
+        return () => {
+            section.removeEventListener('click', clickHandler);
+            section.removeEventListener('input', inputHandler);
+            window.removeEventListener('hashchange', openFromHash);
+            if (contentObserver) contentObserver.disconnect();
+            search.remove();
+            items.forEach(entry => {
+                entry.heading.textContent = entry.button.textContent;
+                Array.from(entry.body.childNodes).forEach(node => entry.item.appendChild(node));
+                entry.answer.remove();
+                entry.item.hidden = false;
+                entry.item.classList.remove('is-open');
+                if (!entry.hadId) entry.item.removeAttribute('id');
+            });
+            const script = document.getElementById(FAQ_SCHEMA_ID);
+            if (script) script.remove();
+        };
+    }
+
+    // 19. Structured data for search: business, service, offers and reviews.
+    // Facts are read from the pricing and footer blocks, then overridden by the
+    // optional #al-structured-data JSON config. Reviews come only from that config
+    // ({ "reviews": [{ "author", "reviewBody", "rating" }] }): the case study is our
+    // own copy, and marking it up as a review would be self-serving.
+    const STRUCTURED_DATA_CONFIG_ID = 'al-structured-data';
+    const STRUCTURED_DATA_OUTPUT_ID = 'al-structured-data-output';
+
+    // Properties Google needs before a node is eligible for rich results
+    const SCHEMA_REQUIREMENTS = {
+        ProfessionalService: ['name', 'address', 'telephone', 'url'],
+        Service: ['name', 'provider', 'areaServed'],
+        Offer: ['name', 'priceSpecification', 'itemOffered'],
+        Review: ['author', 'reviewBody', 'itemReviewed', 'reviewRating']
+    };
+
+    const textOf = (root, selector) => {
+        const el = root && root.querySelector(selector);
+        return el ? el.textContent.replace(/\s+/g, ' ').trim() : '';
+    };
+
+    // "$797/month" -> recurring monthly spec; "$597 one-time" -> plain price
+    function parsePriceSpecification(text, currency = 'USD') {
+        const match = /\$\s*([\d,]+(?:\.\d+)?)/.exec(text || '');
+        if (!match) return null;
+        const price = Number(match[1].replace(/,/g, ''));
+        if (/\/\s*(month|mo)\b|per month|monthly/i.test(text)) {
+            return {
+                '@type': 'UnitPriceSpecification',
+                price,
+                priceCurrency: currency,
+                unitCode: 'MON',
+                referenceQuantity: { '@type': 'QuantitativeValue', value: 1, unitCode: 'MON' }
+            };
+        }
+        return { '@type': 'PriceSpecification', price, priceCurrency: currency };
+    }
+
+    function readStructuredDataConfig() {
+        const script = document.getElementById(STRUCTURED_DATA_CONFIG_ID);
+        if (!script) return {};
+        try {
+            return JSON.parse(script.textContent);
+        } catch (e) {
+            console.warn('Structured data: ignoring invalid #al-structured-data config', e);
+            return {};
+        }
+    }
+
+    function createStructuredData() {
+        let overrides = {};
+        let lastGraph = [];
+        let lastWarnings = [];
+
+        // Facts as the page currently shows them
+        function extract() {
+            const origin = `${location.origin}${location.pathname}`;
+            const footer = document.querySelector('footer');
+            const footerText = footer
+                ? Array.from(footer.querySelectorAll('p')).map(p => p.textContent.replace(/\s+/g, ' ')).join(' | ')
+                : '';
+            const market = content.config && content.market ? content.config.markets[content.market] : null;
+            const description = document.querySelector('meta[name="description"]');
+            // The published number, not the session's call-tracking swap
+            const phoneLink = document.querySelector('a[href^="tel:"]');
+
+            return {
+                business: {
+                    name: (/©\s*\d{4}\s+([^-|]+?)\s+-/.exec(footerText) || [])[1] || document.title.split(' - ').pop(),
+                    email: (/[\w.+-]+@[\w-]+\.[\w.]+/.exec(footerText) || [])[0],
+                    telephone: phoneLink ? (phoneLink.dataset.originalTel || phoneLink.getAttribute('href')).slice(4) : undefined,
+                    description: description ? description.content : '',
+                    url: origin,
+                    areaServed: market ? `${market.city}, ${market.state}` : ((/Serving\s+([^|]+)/.exec(footerText) || [])[1] || '').trim()
+                },
+                service: {
+                    name: textOf(document, '.pricing-header h3'),
+                    description: textOf(document, '.pricing-subtitle'),
+                    serviceType: 'Patient acquisition marketing'
+                },
+                offers: Array.from(document.querySelectorAll('.pricing-breakdown .price-item')).map(item => ({
+                    name: textOf(item, 'strong'),
+                    description: textOf(item, 'p'),
+                    priceText: textOf(item, '.price')
+                }))
+            };
+        }
+
+        function build() {
+            const facts = deepMerge({}, extract(), readStructuredDataConfig(), overrides);
+            const base = facts.business.url || `${location.origin}/`;
+            const businessId = `${base}#business`;
+            const serviceId = `${base}#service`;
+            const currency = facts.currency || 'USD';
+            const prune = (node) => {
+                Object.keys(node).forEach(key => {
+                    if (node[key] === '' || node[key] === null || node[key] === undefined) delete node[key];
+                });
+                return node;
+            };
+
+            const business = prune({
+                '@type': 'ProfessionalService',
+                '@id': businessId,
+                name: facts.business.name,
+                description: facts.business.description,
+                url: facts.business.url,
+                email: facts.business.email,
+                telephone: facts.business.telephone,
+                address: facts.business.address,
+                areaServed: facts.business.areaServed,
+                priceRange: facts.business.priceRange
+            });
+
+            const service = prune({
+                '@type': 'Service',
+                '@id': serviceId,
+                name: facts.service.name,
+                description: facts.service.description,
+                serviceType: facts.service.serviceType,
+                provider: { '@id': businessId },
+                areaServed: facts.service.areaServed || facts.business.areaServed
+            });
+
+            const offers = (facts.offers || []).map(offer => prune({
+                '@type': 'Offer',
+                name: offer.name,
+                description: offer.description,
+                priceSpecification: offer.priceSpecification || parsePriceSpecification(offer.priceText, currency),
+                itemOffered: { '@id': serviceId },
+                availability: 'https://schema.org/InStock',
+                url: `${base}#audit`
+            }));
+            if (offers.length) service.offers = offers;
+
+            const reviews = (facts.reviews || []).map(review => prune({
+                '@type': 'Review',
+                name: review.name,
+                author: review.author ? { '@type': 'Organization', name: review.author } : null,
+                reviewBody: review.reviewBody,
+                reviewRating: review.rating ? { '@type': 'Rating', ratingValue: review.rating, bestRating: 5 } : null,
+                itemReviewed: { '@id': businessId }
+            }));
+
+            const graph = [business, service, ...reviews];
+            lastWarnings = validate([...graph, ...offers]);
+            lastGraph = graph;
+            return { '@context': 'https://schema.org', '@graph': graph };
+        }
+
+        function validate(nodes) {
+            const warnings = [];
+            nodes.forEach(node => {
+                (SCHEMA_REQUIREMENTS[node['@type']] || []).forEach(property => {
+                    if (node[property] === undefined) {
+                        warnings.push({ type: node['@type'], name: node.name || node['@id'] || '', property });
+                    }
+                });
+            });
+            return warnings;
+        }
+
+        // Writes the JSON-LD and reports anything newly missing
+        function refresh() {
+            const previous = new Set(lastWarnings.map(w => `${w.type}|${w.name}|${w.property}`));
+            const data = build();
+            let script = document.getElementById(STRUCTURED_DATA_OUTPUT_ID);
+            if (!script) {
+                script = document.createElement('script');
+                script.type = 'application/ld+json';
+                script.id = STRUCTURED_DATA_OUTPUT_ID;
+                document.head.appendChild(script);
+            }
+            script.textContent = JSON.stringify(data);
+            lastWarnings
+                .filter(w => !previous.has(`${w.type}|${w.name}|${w.property}`))
+                .forEach(w => console.warn(`Structured data: ${w.type}${w.name ? ` "${w.name}"` : ''} is missing "${w.property}"`));
+            return data;
+        }
+
+        function configure(config = {}) {
+            overrides = deepMerge(overrides, config);
+            return refresh();
+        }
+
+        return {
+            build,
+            refresh,
+            configure,
+            graph: () => lastGraph,
+            warnings: () => lastWarnings.slice()
+        };
+    }
+
+    const structuredData = createStructuredData();
+
+    function initStructuredData() {
+        // Pages without the pricing block (the offline page) describe nothing
+        if (!document.querySelector('.pricing-section') && !document.getElementById(STRUCTURED_DATA_CONFIG_ID)) {
+            return () => {};
+        }
+        const sections = ['.pricing-section', 'footer']
+            .map(selector => document.querySelector(selector))
+            .filter(Boolean);
+
+        structuredData.refresh();
+
+        // Templated copy (market, vertical) changes the facts after load
+        const scheduleRefresh = debounce(() => structuredData.refresh(), 500);
+        const observer = 'MutationObserver' in window ? new MutationObserver(scheduleRefresh) : null;
+        if (observer) {
+            sections.forEach(section => observer.observe(section, { childList: true, characterData: true, subtree: true }));
+        }
+
+        return () => {
+            if (observer) observer.disconnect();
+        };
+    }
+
+    // 20. Language switcher in the footer. Script-rendered text picks its
+    // locale up front, so a switch reloads the page.
+    function initLocaleSwitcher() {
+        const host = document.querySelector('footer .container') || document.querySelector('footer');
+        if (!host || i18n.locales().length < 2) return () => {};
+
+        const wrapper = document.createElement('p');
+        wrapper.className = 'locale-switcher';
+        wrapper.innerHTML = `
+            <label for="locale-select">${t('locale.label')}</label>
+            <select id="locale-select">
+                ${i18n.locales().map(({ code, name }) => `<option value="${code}" lang="${code}">${name}</option>`).join('')}
+            </select>
+        `;
+        const select = wrapper.querySelector('select');
+        select.value = i18n.locale();
+        host.appendChild(wrapper);
+
+        const changeHandler = () => {
+            const previous = i18n.locale();
+            if (!i18n.setLocale(select.value) || i18n.locale() === previous) return;
+            events.track('locale_changed', { from: previous, to: i18n.locale() });
+            events.flush();
+            // Drop a ?lang= override so the saved choice wins after reload
+            const url = new URL(location.href);
+            if (url.searchParams.has('lang')) {
+                url.searchParams.delete('lang');
+                location.replace(url.toString());
+            } else {
+                location.reload();
+            }
+        };
+        select.addEventListener('change', changeHandler);
+
+        return () => {
+            select.removeEventListener('change', changeHandler);
+            wrapper.remove();
+        };
+    }
+
+    // 21. Core Web Vitals and runtime performance, measured in the field.
+    // One sampled report per page hide, sent through the event pipeline.
+    const PERF_SAMPLE_RATE = 0.25;
+    const PERF_MARK_PREFIX = 'al:';
+    const VITALS_THRESHOLDS = {
+        lcp: [2500, 4000],
+        cls: [0.1, 0.25],
+        inp: [200, 500],
+        ttfb: [800, 1800]
+    };
+
+    function rateVital(name, value) {
+        const [good, poor] = VITALS_THRESHOLDS[name];
+        return value <= good ? 'good' : value <= poor ? 'needs-improvement' : 'poor';
+    }
+
+    // Short, stable description of an element: "parent > tag.class" or "tag#id"
+    function describeElement(el) {
+        if (!el || el.nodeType !== 1) return null;
+        const name = (node) => {
+            const tag = node.tagName.toLowerCase();
+            if (node.id) return `${tag}#${node.id}`;
+            const classes = Array.from(node.classList).slice(0, 2);
+            return classes.length ? `${tag}.${classes.join('.')}` : tag;
+        };
+        const parent = el.parentElement;
+        return !el.id && parent && parent !== document.body ? `${name(parent)} > ${name(el)}` : name(el);
+    }
+
+    function createPerformanceMonitor() {
+        const supported = 'PerformanceObserver' in window && Array.isArray(PerformanceObserver.supportedEntryTypes);
+        const observers = [];
+        const vitals = {};
+        const marks = {};
+        const longTasks = { count: 0, total: 0, longest: 0, source: null };
+        const interactions = new Map();
+        let clsWindow = { value: 0, start: 0, last: 0, sources: [] };
+        let lastReported = null;
+
+        const round = (value, digits = 0) => Number(value.toFixed(digits));
+
+        function observe(type, callback, options = {}) {
+            if (!supported || !PerformanceObserver.supportedEntryTypes.includes(type)) return;
+            try {
+                const observer = new PerformanceObserver(list => list.getEntries().forEach(callback));
+                observer.observe({ type, buffered: true, ...options });
+                observers.push(observer);
+            } catch (e) { /* entry type not observable here */ }
+        }
+
+        function activationStart() {
+            const nav = performance.getEntriesByType && performance.getEntriesByType('navigation')[0];
+            return nav && nav.activationStart ? nav.activationStart : 0;
+        }
+
+        // Time since navigation under `name`, e.g. mark('preloader-hidden')
+        function mark(name) {
+            try {
+                performance.mark(PERF_MARK_PREFIX + name);
+            } catch (e) { /* User Timing unavailable */ }
+            marks[name] = round(performance.now());
+            return marks[name];
+        }
+
+        // Duration between an earlier mark and now, recorded as `name`
+        function measure(name, startMark) {
+            try {
+                const entry = performance.measure(PERF_MARK_PREFIX + name, PERF_MARK_PREFIX + startMark);
+                marks[name] = round(entry ? entry.duration : performance.now() - marks[startMark]);
+            } catch (e) {
+                if (marks[startMark] === undefined) return null;
+                marks[name] = round(performance.now() - marks[startMark]);
+            }
+            return marks[name];
+        }
+
+        function onLcp(entry) {
+            vitals.lcp = {
+                value: round(Math.max(0, entry.startTime - activationStart())),
+                element: describeElement(entry.element),
+                url: entry.url ? entry.url.split('?')[0] : null,
+                size: entry.size
+            };
+        }
+
+        // Largest burst of shifts: windows close after a 1s gap or at 5s
+        function onLayoutShift(entry) {
+            if (entry.hadRecentInput) return;
+            if (clsWindow.value && (entry.startTime - clsWindow.last > 1000 || entry.startTime - clsWindow.start > 5000)) {
+                clsWindow = { value: 0, start: entry.startTime, last: 0, sources: [] };
+            }
+            if (!clsWindow.value) clsWindow.start = entry.startTime;
+            clsWindow.value += entry.value;
+            clsWindow.last = entry.startTime;
+            (entry.sources || []).forEach(source => clsWindow.sources.push({ node: source.node, shift: entry.value }));
+            if (!vitals.cls || clsWindow.value > vitals.cls.value) {
+                const largest = clsWindow.sources.slice().sort((a, b) => b.shift - a.shift)[0];
+                vitals.cls = { value: round(clsWindow.value, 4), source: largest ? describeElement(largest.node) : null };
+            }
+        }
+
+        // Worst interaction, skipping one outlier per 50 as INP does
+        function onEvent(entry) {
+            if (!entry.interactionId) return;
+            const existing = interactions.get(entry.interactionId);
+            if (!existing || entry.duration > existing.duration) {
+                interactions.set(entry.interactionId, {
+                    duration: entry.duration,
+                    type: entry.name,
+                    target: describeElement(entry.target)
+                });
+            }
+            const sorted = Array.from(interactions.values()).sort((a, b) => b.duration - a.duration);
+            const worst = sorted[Math.min(sorted.length - 1, Math.floor(interactions.size / 50))];
+            vitals.inp = { value: round(worst.duration), type: worst.type, target: worst.target };
+        }
+
+        function onLongTask(entry) {
+            longTasks.count += 1;
+            longTasks.total += entry.duration;
+            if (entry.duration > longTasks.longest) {
+                const attribution = entry.attribution && entry.attribution[0];
+                longTasks.longest = entry.duration;
+                longTasks.source = attribution ? (attribution.containerSrc || attribution.containerName || attribution.name) : entry.name;
+            }
+        }
+
+        function ttfb() {
+            const nav = performance.getEntriesByType && performance.getEntriesByType('navigation')[0];
+            if (!nav || !nav.responseStart) return null;
+            return { value: round(Math.max(0, nav.responseStart - activationStart())), type: nav.type };
+        }
+
+        function snapshot() {
+            const result = {};
+            ['lcp', 'cls', 'inp'].forEach(name => {
+                if (vitals[name]) result[name] = { ...vitals[name], rating: rateVital(name, vitals[name].value) };
+            });
+            const ttfbValue = ttfb();
+            if (ttfbValue) result.ttfb = { ...ttfbValue, rating: rateVital('ttfb', ttfbValue.value) };
+            result.long_tasks = { ...longTasks, total: round(longTasks.total), longest: round(longTasks.longest) };
+            result.marks = { ...marks };
+            return result;
+        }
+
+        // Reports again on a later hide only when something changed
+        function report(reason) {
+            const metrics = snapshot();
+            const key = JSON.stringify(metrics);
+            if (key === lastReported) return null;
+            lastReported = key;
+            const connection = navigator.connection || {};
+            return events.track('web_vitals', {
+                ...metrics,
+                reason,
+                effective_type: connection.effectiveType || null,
+                device_memory: navigator.deviceMemory || null
+            });
+        }
+
+        function start() {
+            observe('largest-contentful-paint', onLcp);
+            observe('layout-shift', onLayoutShift);
+            observe('event', onEvent, { durationThreshold: 40 });
+            observe('first-input', onEvent);
+            observe('longtask', onLongTask);
+        }
+
+        function stop() {
+            observers.splice(0).forEach(observer => observer.disconnect());
+        }
+
+        return { mark, measure, snapshot, report, start, stop };
+    }
+
+    const perf = createPerformanceMonitor();
+
+    function initPerformanceMonitoring() {
+        // Sampled per session so a visitor's reports stay together
+        if (bucketFor(`${getSessionId()}:perf`) >= PERF_SAMPLE_RATE) return () => {};
+
+        perf.start();
+
+        const send = (reason) => {
+            if (perf.report(reason)) events.flush();
+        };
+        const pagehideHandler = () => send('pagehide');
+        const visibilityHandler = () => {
+            if (document.visibilityState === 'hidden') send('hidden');
+        };
+        window.addEventListener('pagehide', pagehideHandler);
+        document.addEventListener('visibilitychange', visibilityHandler);
+
+        return () => {
+            window.removeEventListener('pagehide', pagehideHandler);
+            document.removeEventListener('visibilitychange', visibilityHandler);
+            perf.stop();
+        };
+    }
+
+    // 22. Service worker: offline page shell and an "update available" prompt.
+    // /version.json is the one place a release bumps; the worker URL carries it,
+    // so a release installs a new worker.
+    const VERSION_URL = '/version.json';
+    const SERVICE_WORKER_URL = '/sw.js';
+    let siteVersion = null;
+    let versionRequest = null;
+
+    // Deployed release, fetched once per page view whether or not a worker can register
+    function loadSiteVersion() {
+        if (!versionRequest) {
+            versionRequest = fetch(VERSION_URL, { headers: { 'Accept': 'application/json' }, cache: 'no-store' })
+                .then(response => {
+                    if (!response.ok) throw new Error(`Version check failed: ${response.status}`);
+                    return response.json();
+                })
+                .then(data => {
+                    siteVersion = String(data.version);
+                    return siteVersion;
+                });
+            // A failed check (e.g. offline) is retried by the next caller
+            versionRequest.catch(() => { versionRequest = null; });
+        }
+        return versionRequest;
+    }
+
+    // Runs `fn` once the page has loaded and the main thread is idle
+    function afterLoad(fn) {
+        if (document.readyState === 'complete') {
+            whenIdle(fn);
+            return;
+        }
+        window.addEventListener('load', () => whenIdle(fn), { once: true });
+    }
+
+    function initSiteVersion() {
+        afterLoad(() => {
+            loadSiteVersion().catch(error => console.warn('Could not read the site version:', error));
+        });
+        return () => {};
+    }
+
+    // Version the controlling worker was registered with, i.e. what this page runs
+    function activeVersion() {
+        const controller = navigator.serviceWorker && navigator.serviceWorker.controller;
+        if (!controller) return null;
+        return new URL(controller.scriptURL).searchParams.get('v');
+    }
+
+    function initServiceWorker() {
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) return () => {};
+
+        let prompt = null;
+        let reloading = false;
+        let registration = null;
+
+        function showUpdatePrompt(version) {
+            if (prompt) return;
+            prompt = document.createElement('div');
+            prompt.className = 'update-prompt';
+            prompt.setAttribute('role', 'status');
+            prompt.innerHTML = `
+                <p>${t('update.available')}</p>
+                <div class="update-actions">
+                    <button type="button" class="btn-secondary" data-update="dismiss">${t('update.dismiss')}</button>
+                    <button type="button" class="btn-primary" data-update="reload">${t('update.reload')}</button>
+                </div>
+            `;
+            prompt.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-update]');
+                if (!button) return;
+                if (button.dataset.update === 'dismiss') {
+                    prompt.remove();
+                    return;
+                }
+                events.track('update_accepted', { from: activeVersion(), to: version || siteVersion });
+                events.flush();
+                // A waiting worker takes over first; controllerchange then reloads
+                if (registration && registration.waiting) {
+                    registration.waiting.postMessage({ type: 'al:skip-waiting' });
+                } else {
+                    location.reload();
+                }
+            });
+            document.body.appendChild(prompt);
+        }
+
+        const onMessage = (e) => {
+            if (e.data && e.data.type === 'al:update-available') showUpdatePrompt(e.data.version);
+        };
+
+        const onControllerChange = () => {
+            if (reloading || !prompt) return;
+            reloading = true;
+            location.reload();
+        };
+
+        // Only an update waiting behind a live controller needs the visitor's say
+        function watch(reg) {
+            if (reg.waiting && navigator.serviceWorker.controller) showUpdatePrompt();
+            reg.addEventListener('updatefound', () => {
+                const worker = reg.installing;
+                if (!worker) return;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdatePrompt();
+                });
+            });
+        }
+
+        navigator.serviceWorker.addEventListener('message', onMessage);
+        navigator.serviceWorker.addEventListener('controllerchange', onControllerChange);
+
+        const register = () => {
+            loadSiteVersion()
+                .then(version => navigator.serviceWorker.register(`${SERVICE_WORKER_URL}?v=${encodeURIComponent(version)}`, { scope: '/' }))
+                .then(reg => {
+                    registration = reg;
+                    watch(reg);
+                })
+                .catch(error => {
+                    // The page works without it (offline, the current worker stays); nothing to report beyond a warning
+                    console.warn('Service worker registration failed:', error);
+                });
+        };
+        // Registration competes with first paint otherwise
+        afterLoad(register);
+
+        return () => {
+            navigator.serviceWorker.removeEventListener('message', onMessage);
+            navigator.serviceWorker.removeEventListener('controllerchange', onControllerChange);
+            if (prompt) prompt.remove();
+        };
+    }
+
+    // Conversions (lead form, booked call, lead magnet) that stop further capture prompts
+    const CONVERSION_STORAGE_KEY = 'armanleads:converted';
+
+    function markConverted(method) {
+        try {
+            localStorage.setItem(CONVERSION_STORAGE_KEY, JSON.stringify({ method, at: new Date().toISOString() }));
+        } catch (e) { /* suppression lasts for this page view only */ }
+        document.dispatchEvent(new CustomEvent('al:converted', { detail: { method } }));
+    }
+
+    function hasConverted() {
+        try {
+            return Boolean(localStorage.getItem(CONVERSION_STORAGE_KEY)) || Boolean(getCalendlyBooking());
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // 23. Exit-intent and inactivity lead capture
+    const CAPTURE_STORAGE_KEY = 'armanleads:capture';
+    const CAPTURE_ENDPOINT = '/lead-magnet';
+    const CAPTURE_OPTIONS = {
+        minTimeOnPage: 8000,
+        inactivity: 45000,
+        // At most one prompt per week and three ever, across visits
+        periodDays: 7,
+        maxPerPeriod: 1,
+        maxTotal: 3,
+        // Upward scroll faster than this (px/ms) reads as heading for the address bar
+        scrollVelocity: 1.5,
+        minScroll: 600
+    };
+
+    const CAPTURE_SCHEMA = {
+        fields: {
+            email: { label: 'field.email', required: true, email: true, notDisposable: true, maxLength: 254 }
+        }
+    };
+
+    function readCaptureHistory() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CAPTURE_STORAGE_KEY));
+            return stored && Array.isArray(stored.shown) ? stored : { shown: [] };
+        } catch (e) {
+            return { shown: [] };
+        }
+    }
+
+    function canShowCapture(now = Date.now()) {
+        if (hasConverted()) return false;
+        const { shown } = readCaptureHistory();
+        const recent = shown.filter(ts => now - ts < CAPTURE_OPTIONS.periodDays * DAY_MS);
+        return shown.length < CAPTURE_OPTIONS.maxTotal && recent.length < CAPTURE_OPTIONS.maxPerPeriod;
+    }
+
+    function recordCaptureShown(now = Date.now()) {
+        const history = readCaptureHistory();
+        history.shown = history.shown.concat(now).slice(-CAPTURE_OPTIONS.maxTotal);
+        try {
+            localStorage.setItem(CAPTURE_STORAGE_KEY, JSON.stringify(history));
+        } catch (e) { /* capped for this page view only */ }
+    }
 
-            const formData = new FormData(form);
-            formData.append('timestamp', new Date().toISOString());
+    function initExitIntent() {
+        const audit = document.getElementById('audit');
+        if (!audit || !canShowCapture()) return () => {};
 
-            try {
-                if (!navigator.onLine) {
-                    // Save to localStorage for retry
-                    try {
-                        localStorage.setItem('pendingForm', JSON.stringify(Object.fromEntries(formData)));
-                        setError('You appear offline. We saved your submission and will retry automatically when online.');
-                    } catch (storageError) {
-                        setError('Connection issue. Please try again or email hello@armanleads.com');
-                    }
-                    throw new Error('offline');
-                }
+        const startedAt = Date.now();
+        const coarse = window.matchMedia && window.matchMedia('(pointer: coarse)').matches;
+        let dialog = null;
+        let validator = null;
+        let guard = null;
+        let trigger = null;
+        let done = false;
+        let idleTimer = null;
+        let lastScroll = { y: window.scrollY, t: performance.now() };
 
-                const response = await fetch(form.action, {
-                    method: 'POST',
-                    body: formData,
-                    headers: { 'Accept': 'application/json' }
-                });
+        // Not while the visitor is already converting or reading another dialog
+        function eligible() {
+            if (done || Date.now() - startedAt < CAPTURE_OPTIONS.minTimeOnPage) return false;
+            if (dialogs.top() || audit.contains(document.activeElement)) return false;
+            return canShowCapture();
+        }
 
-                const json = await response.json().catch(() => ({}));
+        function build() {
+            dialog = document.createElement('div');
+            dialog.className = 'capture-dialog';
+            dialog.setAttribute('role', 'dialog');
+            dialog.setAttribute('aria-modal', 'true');
+            dialog.setAttribute('aria-labelledby', 'capture-dialog-title');
+            dialog.setAttribute('aria-hidden', 'true');
+            dialog.innerHTML = `
+                <div class="capture-dialog-panel">
+                    <h2 id="capture-dialog-title">${t('capture.title')}</h2>
+                    <p>${t('capture.text')}</p>
+                    <form class="capture-form" novalidate>
+                        <label for="capture-email" class="visually-hidden">${t('field.email')}</label>
+                        <input type="email" id="capture-email" name="email" autocomplete="email" placeholder="${t('capture.placeholder')}">
+                        <button type="submit" class="btn-primary">${t('capture.submit')}</button>
+                    </form>
+                    <p class="capture-status" role="status" aria-live="polite"></p>
+                    <button type="button" class="capture-dismiss" data-capture-dismiss>${t('capture.dismiss')}</button>
+                </div>
+            `;
+            document.body.appendChild(dialog);
+            const form = dialog.querySelector('form');
+            form.elements.email.value = document.getElementById('email')?.value || '';
+            validator = createFormValidator(form, CAPTURE_SCHEMA);
+            guard = createFormGuard(form);
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                submit(form);
+            });
+            dialog.addEventListener('click', (e) => {
+                if (e.target === dialog || e.target.closest('[data-capture-dismiss]')) dialogs.close(dialog, 'dismiss');
+            });
+        }
 
-                if (!response.ok) {
-                    throw new Error(json.error || `Server error: ${response.status}`);
+        function show(source) {
+            if (!eligible()) return;
+            done = true;
+            trigger = source;
+            recordCaptureShown();
+            teardownTriggers();
+            if (!dialog) build();
+            dialogs.open(dialog, {
+                label: 'Lead capture',
+                initialFocus: () => dialog.querySelector('input[name="email"]'),
+                onClose: (reason) => {
+                    if (dialog.dataset.captured !== 'true') events.track('exit_intent_dismissed', { trigger, reason });
                 }
+            });
+            events.track(`exit_intent_${source}`, { trigger: source, seconds_on_page: Math.round((Date.now() - startedAt) / 1000) });
+        }
 
-                // Success handling
-                if (successMessage) {
-                    successMessage.classList.add('show');
-                    successMessage.setAttribute('role', 'status');
-                    successMessage.setAttribute('aria-live', 'polite');
-                    successMessage.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                }
-                
-                form.reset();
-                
-                // Reset business type selection
-                const firstCard = document.querySelector('.business-type-card');
-                if (firstCard) {
-                    firstCard.click();
-                }
-                
-                // Analytics
-                if (window.gtag) {
-                    window.gtag('event', 'lead', { method: 'audit-form' });
+        async function submit(form) {
+            const status = dialog.querySelector('.capture-status');
+            const button = form.querySelector('button[type="submit"]');
+            const result = validator.validate();
+            if (!result.valid || guard.isBot()) return;
+
+            button.disabled = true;
+            status.textContent = t('form.sending');
+            const signals = await guard.collect(result.values);
+            const entry = submissionQueue.createEntry(CAPTURE_ENDPOINT, [
+                ['email', result.values.email],
+                ['source', 'exit-intent'],
+                ['trigger', trigger],
+                ['timestamp', new Date().toISOString()],
+                ['attribution', JSON.stringify(attribution.get())],
+                ['bot_signals', JSON.stringify(signals)]
+            ]);
+
+            try {
+                if (!navigator.onLine) throw new TypeError('offline');
+                await submissionQueue.send(entry);
+            } catch (error) {
+                breadcrumbs.add('network', `Lead capture failed: ${error.message}`, { status: error.status || null });
+                if (!(error instanceof TypeError)) {
+                    status.textContent = t('form.sendError');
+                    button.disabled = false;
+                    guard.renew();
+                    handleError(error, 'Lead Capture');
+                    return;
                 }
-                
-                // Optional: persist to lightweight CRM by beacon
                 try {
-                    navigator.sendBeacon('/log-form', JSON.stringify({ 
-                        action: 'submitted', 
-                        timestamp: new Date().toISOString() 
-                    }));
-                } catch (err) { /* ignore */ }
-                
-                // Hide success message after 10 seconds
-                setTimeout(() => {
-                    if (successMessage) {
-                        successMessage.classList.remove('show');
-                    }
-                }, 10000);
-                
-            } catch (error) {
-                if (error.message !== 'offline') {
-                    setError('Error sending form. Please try again or email hello@armanleads.com');
+                    await submissionQueue.enqueue(entry);
+                } catch (storageError) {
+                    status.textContent = t('form.connectionIssue');
+                    button.disabled = false;
+                    guard.renew();
+                    return;
                 }
-                handleError(error, 'Form Submission');
-            } finally {
-                submitBtn.disabled = false;
-                submitBtn.innerHTML = originalText;
             }
-        });
 
-        // Retry pending saved form when back online
-        const onlineHandler = async () => {
-            const pending = localStorage.getItem('pendingForm');
-            if (!pending) return;
-            try {
-                const data = JSON.parse(pending);
-                // Send via sendBeacon as best-effort
-                if (navigator.sendBeacon) {
-                    navigator.sendBeacon(form.action, new URLSearchParams(data).toString());
-                }
-                localStorage.removeItem('pendingForm');
-            } catch (e) { 
-                console.warn('Retry failed', e); 
-            }
+            dialog.dataset.captured = 'true';
+            form.hidden = true;
+            dialog.querySelector('[data-capture-dismiss]').textContent = t('capture.close');
+            status.textContent = t('capture.thanks');
+            markConverted('exit-intent');
+            events.track('lead', { method: 'exit-intent', trigger, experiments: experiments.active() });
+        }
+
+        // Desktop: the pointer leaves through the top edge, toward tabs and the address bar
+        const onMouseOut = (e) => {
+            if (!e.relatedTarget && e.clientY <= 0) show('mouse');
         };
-        
-        window.addEventListener('online', onlineHandler);
+
+        // Mobile: a fast flick back up the page
+        const onScroll = () => {
+            const now = performance.now();
+            const y = window.scrollY;
+            const velocity = (y - lastScroll.y) / Math.max(1, now - lastScroll.t);
+            if (coarse && lastScroll.y > CAPTURE_OPTIONS.minScroll && velocity < -CAPTURE_OPTIONS.scrollVelocity) show('scroll');
+            lastScroll = { y, t: now };
+        };
+
+        function resetIdle() {
+            clearTimeout(idleTimer);
+            if (done) return;
+            idleTimer = setTimeout(() => {
+                if (document.visibilityState === 'visible') show('idle');
+            }, CAPTURE_OPTIONS.inactivity);
+        }
+        const onActivity = throttleWithTrailing(resetIdle, 1000);
+        const activityEvents = ['pointermove', 'keydown', 'scroll', 'touchstart'];
+
+        const onConverted = () => {
+            if (!dialog || !dialogs.isOpen(dialog)) done = true;
+            teardownTriggers();
+        };
+
+        function teardownTriggers() {
+            clearTimeout(idleTimer);
+            document.removeEventListener('mouseout', onMouseOut);
+            window.removeEventListener('scroll', onScroll);
+            activityEvents.forEach(type => window.removeEventListener(type, onActivity, passiveIfSupported));
+        }
+
+        document.addEventListener('mouseout', onMouseOut);
+        window.addEventListener('scroll', onScroll, passiveIfSupported);
+        activityEvents.forEach(type => window.addEventListener(type, onActivity, passiveIfSupported));
+        document.addEventListener('al:converted', onConverted);
+        resetIdle();
 
         return () => {
-            window.removeEventListener('online', onlineHandler);
+            teardownTriggers();
+            document.removeEventListener('al:converted', onConverted);
+            if (dialog) {
+                dialogs.close(dialog);
+                if (validator) validator.destroy();
+                if (guard) guard.destroy();
+                dialog.remove();
+            }
         };
     }
 
-    // 7. Enhanced Calendly modal with focus trap and prefill
-    function initCalendlyModal() {
-        const trigger = document.getElementById('calendly-trigger');
-        const modal = document.getElementById('calendly-modal');
-        const iframe = document.getElementById('calendly-iframe');
-        const closeButtons = modal ? modal.querySelectorAll('[data-close-modal]') : [];
-        const loadingElement = modal ? modal.querySelector('.calendly-loading') : null;
-        
-        if (!trigger || !modal || !iframe) return () => {};
+    // 24. Section engagement: dwell time, scroll depth and CTA visibility.
+    // One cumulative summary per session, re-sent on a later hide only when it changed.
+    // Each `engagement_summary` replaces the previous one for its session: consumers keep
+    // the highest `revision` per session id rather than adding reports up.
+    const ENGAGEMENT_STORAGE_KEY = 'armanleads:engagement';
+    const ENGAGEMENT_SECTIONS = '.hero-section, section, footer';
+    const ENGAGEMENT_CTAS = 'a.btn-primary, a.btn-secondary, button.btn-primary, [data-track]';
+    const SCROLL_MILESTONES = [25, 50, 75, 90, 100];
+    // A section counts as read while half of it, or half the viewport, shows it
+    const DWELL_RATIO = 0.5;
 
-        let isModalOpen = false;
-        let trapCleanup = null;
-        let previouslyFocused = null;
+    function engagementKey(section) {
+        if (section.dataset.engagementSection) return section.dataset.engagementSection;
+        const named = /\b([\w-]+)-section\b/.exec(section.className);
+        if (named) return named[1];
+        return section.id || section.classList[0] || section.tagName.toLowerCase();
+    }
 
-        function openModal() {
-            previouslyFocused = document.activeElement;
-            isModalOpen = true;
-            modal.classList.add('active');
-            document.body.classList.add('modal-open');
-            modal.setAttribute('aria-hidden', 'false');
+    function ctaKey(el) {
+        const section = el.closest(ENGAGEMENT_SECTIONS);
+        return el.dataset.track || el.dataset.expSlot || el.dataset.content ||
+            `${section ? engagementKey(section) : 'page'}:${slugify(el.textContent || '', 30)}`;
+    }
 
-            // Build prefill params
-            const name = document.getElementById('name')?.value || '';
-            const email = document.getElementById('email')?.value || '';
-            
-            if (!iframe.src) {
-                let src = 'https://calendly.com/vrmvn0/meeting';
-                const params = new URLSearchParams();
-                if (name) params.set('name', name);
-                if (email) params.set('email', email);
-                if (params.toString()) src += `?${params.toString()}`;
-                iframe.src = src;
+    function createEngagementTracker() {
+        let state = null;
+        let lastReported = null;
+        const visible = new Set();
+        const ctaSeenAt = new Map();
+        let observers = [];
+        let tickedAt = 0;
+        let paused = false;
 
-                // Handle iframe load
-                iframe.addEventListener('load', () => {
-                    if (loadingElement) {
-                        loadingElement.style.display = 'none';
-                    }
-                });
+        const round = (ms) => Math.round(ms / 100) / 10;
 
-                // Handle iframe error
-                iframe.addEventListener('error', () => {
-                    if (loadingElement) {
-                        loadingElement.innerHTML = `
-                            <div style="text-align: center; padding: 2rem;">
-                                <p>Unable to load calendar. Please contact us directly.</p>
-                                <a href="mailto:hello@armanleads.com" style="color: var(--color-accent-dark);">hello@armanleads.com</a>
-                            </div>
-                        `;
-                    }
-                });
+        function load() {
+            try {
+                const stored = JSON.parse(sessionStorage.getItem(ENGAGEMENT_STORAGE_KEY));
+                if (stored && stored.sections) return { revision: 0, ...stored };
+            } catch (e) { /* start fresh */ }
+            return { revision: 0, pages: 0, active: 0, sections: {}, depth: 0, milestones: {}, ctas: {} };
+        }
 
-                // Timeout for loading
-                setTimeout(() => {
-                    if (loadingElement && loadingElement.style.display !== 'none') {
-                        loadingElement.innerHTML = `
-                            <div style="text-align: center;">
-                                <p>Taking longer than expected...</p>
-                                <p><a href="mailto:hello@armanleads.com" style="color: var(--color-accent-dark);">Contact us directly</a></p>
-                            </div>
-                        `;
-                    }
-                }, 10000);
-            }
+        function save() {
+            try {
+                sessionStorage.setItem(ENGAGEMENT_STORAGE_KEY, JSON.stringify(state));
+            } catch (e) { /* summary covers this page only */ }
+        }
 
-            // Focus trap
-            trapCleanup = trapFocus(modal);
+        // Credits elapsed time to every section in view, unless the tab is hidden
+        function tick() {
+            const now = performance.now();
+            if (!paused) {
+                const elapsed = now - tickedAt;
+                state.active += elapsed;
+                visible.forEach(key => { state.sections[key] = (state.sections[key] || 0) + elapsed; });
+            }
+            tickedAt = now;
         }
 
-        function closeModal() {
-            isModalOpen = false;
-            modal.classList.remove('active');
-            document.body.classList.remove('modal-open');
-            modal.setAttribute('aria-hidden', 'true');
-            if (trapCleanup) trapCleanup();
-            if (previouslyFocused) previouslyFocused.focus();
+        function pause() {
+            tick();
+            paused = true;
         }
 
-        // Event listeners
-        trigger.addEventListener('click', (e) => {
-            e.preventDefault();
-            openModal();
-        });
+        function resume() {
+            tickedAt = performance.now();
+            paused = false;
+        }
 
-        closeButtons.forEach(button => {
-            button.addEventListener('click', (e) => {
-                e.preventDefault();
-                closeModal();
+        function onSections(entries) {
+            tick();
+            entries.forEach(entry => {
+                const key = engagementKey(entry.target);
+                const rect = entry.intersectionRect;
+                const inView = entry.isIntersecting &&
+                    (entry.intersectionRatio >= DWELL_RATIO || rect.height >= window.innerHeight * DWELL_RATIO);
+                if (inView) visible.add(key);
+                else visible.delete(key);
             });
-        });
+        }
 
-        // Close on Escape
-        const escapeHandler = (e) => {
-            if (e.key === 'Escape' && isModalOpen) {
-                closeModal();
-            }
-        };
-        document.addEventListener('keydown', escapeHandler);
+        function onCtas(entries) {
+            entries.forEach(entry => {
+                if (entry.isIntersecting && !ctaSeenAt.has(entry.target)) {
+                    ctaSeenAt.set(entry.target, performance.now());
+                }
+            });
+        }
 
-        // Listen for Calendly postMessage events (booking complete)
-        const messageHandler = (e) => {
-            try {
-                if (e.data && typeof e.data === 'string' && e.data.indexOf('calendly') !== -1) {
-                    // Check for known booking event strings
-                    if (e.data.match(/event.*calendly.*(event_scheduled|event_type_viewed)/i)) {
-                        if (window.gtag) window.gtag('event', 'calendly_booked');
-                        closeModal();
-                    }
+        function onScroll() {
+            const scrollable = document.documentElement.scrollHeight;
+            if (!scrollable) return;
+            const depth = Math.min(100, Math.round((window.scrollY + window.innerHeight) / scrollable * 100));
+            if (depth <= state.depth) return;
+            tick();
+            state.depth = depth;
+            SCROLL_MILESTONES.forEach(milestone => {
+                if (depth >= milestone && state.milestones[milestone] === undefined) {
+                    state.milestones[milestone] = round(state.active);
                 }
-            } catch (err) { /* ignore */ }
-        };
-        window.addEventListener('message', messageHandler);
+            });
+        }
 
-        // Initialize modal state
-        modal.setAttribute('aria-hidden', 'true');
+        // Capture phase so clicks count even when a handler stops propagation
+        function onClick(e) {
+            const el = e.target.closest(ENGAGEMENT_CTAS);
+            if (!el) return;
+            const key = ctaKey(el);
+            const seenAt = ctaSeenAt.get(el);
+            const entry = state.ctas[key] || { clicks: 0, unseen_clicks: 0 };
+            entry.clicks += 1;
+            // Keyboard activation or a programmatic click can land on a CTA that was never on screen
+            if (seenAt === undefined) entry.unseen_clicks += 1;
+            else if (entry.seen_ms === undefined) entry.seen_ms = Math.round(performance.now() - seenAt);
+            state.ctas[key] = entry;
+            save();
+        }
+
+        function onVisibility() {
+            if (document.visibilityState === 'hidden') pause();
+            else resume();
+        }
+
+        const onScrollThrottled = throttleWithTrailing(onScroll, 250);
+
+        function snapshot() {
+            if (!state) return null;
+            tick();
+            const sections = {};
+            Object.keys(state.sections).forEach(key => { sections[key] = round(state.sections[key]); });
+            return {
+                pages: state.pages,
+                active_seconds: round(state.active),
+                sections,
+                max_depth: state.depth,
+                milestones: { ...state.milestones },
+                ctas: JSON.parse(JSON.stringify(state.ctas))
+            };
+        }
+
+        function report(reason) {
+            const summary = snapshot();
+            if (!summary) return null;
+            save();
+            const key = JSON.stringify({ ...summary, active_seconds: 0 });
+            if (key === lastReported) return null;
+            lastReported = key;
+            state.revision += 1;
+            save();
+            return events.track('engagement_summary', { ...summary, revision: state.revision, reason });
+        }
+
+        function start() {
+            if (state || !('IntersectionObserver' in window)) return;
+            state = load();
+            state.pages += 1;
+            paused = document.visibilityState === 'hidden';
+            tickedAt = performance.now();
+
+            const sectionObserver = new IntersectionObserver(onSections, { threshold: [0, 0.25, DWELL_RATIO, 0.75, 1] });
+            document.querySelectorAll(ENGAGEMENT_SECTIONS).forEach(section => sectionObserver.observe(section));
+            const ctaObserver = new IntersectionObserver(onCtas, { threshold: 0.5 });
+            document.querySelectorAll(ENGAGEMENT_CTAS).forEach(el => ctaObserver.observe(el));
+            // CTAs rendered later (components, dialogs, templated copy) are watched too
+            const ctaWatcher = new MutationObserver((mutations) => {
+                mutations.forEach(mutation => mutation.addedNodes.forEach(node => {
+                    if (node.nodeType !== Node.ELEMENT_NODE) return;
+                    if (node.matches(ENGAGEMENT_CTAS)) ctaObserver.observe(node);
+                    node.querySelectorAll(ENGAGEMENT_CTAS).forEach(el => ctaObserver.observe(el));
+                }));
+            });
+            ctaWatcher.observe(document.body, { childList: true, subtree: true });
+            observers = [sectionObserver, ctaObserver, ctaWatcher];
+
+            document.addEventListener('click', onClick, true);
+            document.addEventListener('visibilitychange', onVisibility);
+            window.addEventListener('scroll', onScrollThrottled, passiveIfSupported);
+            onScroll();
+        }
+
+        function stop() {
+            if (!state) return;
+            tick();
+            save();
+            observers.splice(0).forEach(observer => observer.disconnect());
+            document.removeEventListener('click', onClick, true);
+            document.removeEventListener('visibilitychange', onVisibility);
+            window.removeEventListener('scroll', onScrollThrottled);
+            visible.clear();
+            state = null;
+        }
+
+        return { start, stop, snapshot, report };
+    }
+
+    const engagement = createEngagementTracker();
+
+    function initEngagement() {
+        engagement.start();
+
+        const send = (reason) => {
+            if (engagement.report(reason)) events.flush();
+        };
+        const pagehideHandler = () => send('pagehide');
+        const visibilityHandler = () => {
+            if (document.visibilityState === 'hidden') send('hidden');
+        };
+        window.addEventListener('pagehide', pagehideHandler);
+        document.addEventListener('visibilitychange', visibilityHandler);
 
         return () => {
-            document.removeEventListener('keydown', escapeHandler);
-            window.removeEventListener('message', messageHandler);
+            window.removeEventListener('pagehide', pagehideHandler);
+            document.removeEventListener('visibilitychange', visibilityHandler);
+            engagement.stop();
         };
     }
 
-    // 8. Scroll animations with classes and reduced motion respect
-    function initScrollAnimations() {
-        if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) return () => {};
-        
-        const items = document.querySelectorAll('.card, .service-card, .approach-card, .portfolio-card, .pricing-card, .faq-item');
-        if (items.length === 0) return () => {};
+    // 25. Dynamic call-tracking number insertion.
+    // #al-call-tracking holds { "number": "+1...", "pool": [{ "number", "source", "medium", "campaign", "paid" }] };
+    // the first pool entry whose filters all match the visitor's latest touch wins for the session.
+    // Pages without the config (or without a tel: link to the configured number) are left untouched.
+    const CALL_TRACKING_CONFIG_ID = 'al-call-tracking';
+    const CALL_TRACKING_STORAGE_KEY = 'armanleads:call-number';
+    const PHONE_PATTERN = /(?:\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/g;
+    const PHONE_SKIP = 'script, style, textarea, input, select, [data-no-call-tracking]';
 
-        const observerOptions = {
-            root: null,
-            rootMargin: '0px 0px -10% 0px',
-            threshold: 0.08
-        };
+    function phoneDigits(value) {
+        return String(value || '').replace(/\D/g, '').replace(/^1(?=\d{10}$)/, '');
+    }
 
-        const observer = createIntersectionObserver((entries, obs) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    entry.target.classList.add('is-visible');
-                    obs.unobserve(entry.target);
-                }
+    // Writes `digits` into `text`, keeping its punctuation and any country code
+    function rewritePhone(text, digits) {
+        const target = text.replace(/\D/g, '').length === 11 ? `1${digits}` : digits;
+        let index = 0;
+        return text.replace(/\d/g, () => target[index++]);
+    }
+
+    function readCallTrackingConfig() {
+        const script = document.getElementById(CALL_TRACKING_CONFIG_ID);
+        if (!script) return null;
+        try {
+            return JSON.parse(script.textContent);
+        } catch (e) {
+            console.warn('Call tracking: ignoring invalid #al-call-tracking config', e);
+            return null;
+        }
+    }
+
+    function createCallTracking() {
+        let config = { number: null, pool: [] };
+        let assigned = null;
+
+        function matches(entry, touch, source) {
+            if (entry.paid !== undefined && entry.paid !== (source === 'paid')) return false;
+            return ['source', 'medium', 'campaign'].every(key => {
+                if (!entry[key]) return true;
+                const value = String(touch[`utm_${key}`] || (key === 'source' && touch.gclid ? 'google' : '')).toLowerCase();
+                return [].concat(entry[key]).some(expected => String(expected).toLowerCase() === value);
             });
-        }, observerOptions);
+        }
 
-        items.forEach(item => {
-            observer.observe(item);
-        });
+        function load() {
+            try {
+                return JSON.parse(sessionStorage.getItem(CALL_TRACKING_STORAGE_KEY));
+            } catch (e) {
+                return null;
+            }
+        }
 
-        return () => observer.disconnect();
-    }
+        // Sticky for the session; a visit without a matching touch keeps the original
+        function assign() {
+            if (assigned) return assigned;
+            const original = phoneDigits(config.number);
+            const stored = load();
+            const valid = (entry) => entry && phoneDigits(entry.number).length === 10;
+            if (stored && config.pool.some(entry => phoneDigits(entry.number) === stored.digits)) {
+                assigned = stored;
+                return assigned;
+            }
 
-    // 9. Analytics hooks and conversion tracking
-    function initAnalytics() {
-        // Event delegation for tracking
-        const trackingHandler = (e) => {
-            const btn = e.target.closest('[data-track]');
-            if (!btn) return;
-            
-            const action = btn.dataset.track;
-            if (window.gtag) {
-                window.gtag('event', action, { event_category: 'site_action' });
+            const touches = attribution.get();
+            const touch = touches.last || touches.first;
+            const entry = touch ? config.pool.filter(valid).find(candidate => matches(candidate, touch, trafficSource(touches))) : null;
+            assigned = {
+                digits: entry ? phoneDigits(entry.number) : original,
+                id: entry ? (entry.id || entry.campaign || entry.source || 'pool') : 'original',
+                tracking: Boolean(entry)
+            };
+            if (entry) {
+                try {
+                    sessionStorage.setItem(CALL_TRACKING_STORAGE_KEY, JSON.stringify(assigned));
+                } catch (e) { /* assignment lasts for this page view */ }
             }
-            
-            // Lightweight fallback beacon
-            try { 
-                navigator.sendBeacon('/_track', JSON.stringify({ 
-                    action, 
-                    url: location.href, 
-                    ts: Date.now() 
-                })); 
-            } catch(e) {}
-        };
+            return assigned;
+        }
 
-        document.addEventListener('click', trackingHandler);
+        function swapText(node, from, to) {
+            PHONE_PATTERN.lastIndex = 0;
+            const next = node.nodeValue.replace(PHONE_PATTERN, (match) => (phoneDigits(match) === from ? rewritePhone(match, to) : match));
+            if (next !== node.nodeValue) node.nodeValue = next;
+        }
 
-        return () => {
-            document.removeEventListener('click', trackingHandler);
+        // Swaps tel: links and visible copies of the original number under `root`
+        function apply(root = document.body) {
+            const original = phoneDigits(config.number);
+            if (!root || original.length !== 10) return;
+            const { digits } = assign();
+            if (digits === original) return;
+
+            const links = root.matches && root.matches('a[href^="tel:"]') ? [root] : Array.from(root.querySelectorAll('a[href^="tel:"]'));
+            links.forEach(link => {
+                if (link.closest(PHONE_SKIP)) return;
+                const href = link.getAttribute('href');
+                if (phoneDigits(href.slice(4)) !== original) return;
+                link.dataset.originalTel = href;
+                link.setAttribute('href', `tel:+1${digits}`);
+            });
+
+            const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+                acceptNode: (node) => (node.parentElement && node.parentElement.closest(PHONE_SKIP)
+                    ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+            });
+            const nodes = [];
+            while (walker.nextNode()) nodes.push(walker.currentNode);
+            nodes.forEach(node => swapText(node, original, digits));
+        }
+
+        function configure(next = {}) {
+            if (next.number) config.number = next.number;
+            if (Array.isArray(next.pool)) config.pool = next.pool;
+            assigned = null;
+        }
+
+        return {
+            configure,
+            apply,
+            assign,
+            original: () => config.number,
+            current: () => (assigned ? `+1${assigned.digits}` : config.number)
         };
     }
 
-    // 10. Error handling and recovery
-    function initErrorHandling() {
-        const errorHandler = (e) => {
-            handleError(e.error || e, 'Global Error');
-        };
+    const callTracking = createCallTracking();
 
-        const rejectionHandler = (e) => {
-            handleError(e.reason || e, 'Unhandled Promise Rejection');
-            e.preventDefault(); // Prevent console error
-        };
+    function initCallTracking() {
+        const config = readCallTrackingConfig();
+        if (config) callTracking.configure(config);
+        if (!callTracking.original()) return () => {};
 
-        window.addEventListener('error', errorHandler);
-        window.addEventListener('unhandledrejection', rejectionHandler);
+        callTracking.apply();
+
+        // Content rendered later (templating, components) gets the same number
+        // (swapping edits text and attributes only, so it never re-triggers this)
+        const observer = new MutationObserver((mutations) => {
+            mutations.forEach(mutation => mutation.addedNodes.forEach(node => {
+                if (node.nodeType === Node.ELEMENT_NODE) callTracking.apply(node);
+                else if (node.nodeType === Node.TEXT_NODE && node.parentElement) callTracking.apply(node.parentElement);
+            }));
+        });
+        observer.observe(document.body, { childList: true, subtree: true });
+
+        const clickHandler = (e) => {
+            const link = e.target.closest('a[href^="tel:"]');
+            if (!link) return;
+            const assignment = callTracking.assign();
+            const section = link.closest(ENGAGEMENT_SECTIONS);
+            events.track('phone_click', {
+                number: link.getAttribute('href').slice(4),
+                tracking_number: assignment.tracking,
+                pool_entry: assignment.id,
+                section: section ? engagementKey(section) : null
+            });
+            markConverted('phone');
+            events.flush();
+        };
+        document.addEventListener('click', clickHandler);
 
         return () => {
-            window.removeEventListener('error', errorHandler);
-            window.removeEventListener('unhandledrejection', rejectionHandler);
+            observer.disconnect();
+            document.removeEventListener('click', clickHandler);
         };
     }
 
+    // Built-in components
+    components.register('contact-form', mountContactForm);
+    components.register('roi-calculator', mountRoiCalculator);
+    components.register('faq', mountFaq);
+
     // Initialize everything when DOM is ready
     function init() {
         try {
+            perf.mark('init-start');
             const cleanupFunctions = [];
             
             // Initialize error handling first
             const errorCleanup = initErrorHandling();
             cleanupFunctions.push(errorCleanup);
+
+            const performanceCleanup = initPerformanceMonitoring();
+            cleanupFunctions.push(performanceCleanup);
+            
+            // Experiment variants go in before anything else renders
+            const experimentsCleanup = initExperiments();
+            cleanupFunctions.push(experimentsCleanup);
+            
+            const attributionCleanup = initAttribution();
+            cleanupFunctions.push(attributionCleanup);
             
             // Critical features first
             const preloaderCleanup = initPreloader();
@@ -842,8 +5537,21 @@
             const businessTypeCleanup = initBusinessTypeSelector();
             cleanupFunctions.push(businessTypeCleanup);
             
-            const contactFormCleanup = initContactForm();
-            cleanupFunctions.push(contactFormCleanup);
+            const contentCleanup = initContentTemplating();
+            cleanupFunctions.push(contentCleanup);
+
+            const callTrackingCleanup = initCallTracking();
+            cleanupFunctions.push(callTrackingCleanup);
+            
+            // Declarative components, including any registered before init ran
+            components.start();
+            cleanupFunctions.push(components.stop);
+            
+            const consentCleanup = initConsentBanner();
+            cleanupFunctions.push(consentCleanup);
+            
+            const submissionQueueCleanup = initSubmissionQueue();
+            cleanupFunctions.push(submissionQueueCleanup);
             
             const calendlyCleanup = initCalendlyModal();
             cleanupFunctions.push(calendlyCleanup);
@@ -851,6 +5559,27 @@
             const analyticsCleanup = initAnalytics();
             cleanupFunctions.push(analyticsCleanup);
 
+            const availabilityCleanup = initAvailability();
+            cleanupFunctions.push(availabilityCleanup);
+
+            const structuredDataCleanup = initStructuredData();
+            cleanupFunctions.push(structuredDataCleanup);
+
+            const localeCleanup = initLocaleSwitcher();
+            cleanupFunctions.push(localeCleanup);
+
+            const siteVersionCleanup = initSiteVersion();
+            cleanupFunctions.push(siteVersionCleanup);
+
+            const serviceWorkerCleanup = initServiceWorker();
+            cleanupFunctions.push(serviceWorkerCleanup);
+
+            const exitIntentCleanup = initExitIntent();
+            cleanupFunctions.push(exitIntentCleanup);
+
+            const engagementCleanup = initEngagement();
+            cleanupFunctions.push(engagementCleanup);
+
             // Non-critical features when browser is idle
             whenIdle(() => {
                 const animationCleanup = initScrollAnimations();
@@ -859,6 +5588,7 @@
 
             // Mark as initialized
             document.body.setAttribute('data-js-initialized', 'true');
+            perf.measure('init', 'init-start');
             
             console.log('ArmanLeads: All scripts initialized successfully');
             
@@ -893,8 +5623,39 @@
 
     // Expose utilities for debugging and external use
     window.ArmanLeads = {
-        version: '2.2.0',
+        get version() {
+            return siteVersion || activeVersion();
+        },
         init: init,
+        queue: submissionQueue,
+        consent,
+        events,
+        track: events.track,
+        dialogs,
+        register: components.register,
+        components,
+        attribution,
+        content,
+        experiments,
+        structuredData,
+        leadScoring,
+        callTracking,
+        i18n,
+        performance: {
+            snapshot: perf.snapshot,
+            mark: perf.mark,
+            measure: perf.measure
+        },
+        engagement: {
+            snapshot: engagement.snapshot
+        },
+        calendly: {
+            booking: getCalendlyBooking
+        },
+        errors: {
+            configure: errorTelemetry.configure,
+            breadcrumbs
+        },
         utils: {
             debounce,
             throttleWithTrailing,
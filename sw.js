@@ -0,0 +1,116 @@
+// Service worker for ArmanLeads.com
+// Precached page shell served stale-while-revalidate, with an offline fallback.
+// Registered as /sw.js?v=<version from /version.json>, so each release gets its own cache.
+
+'use strict';
+
+const VERSION = new URL(self.location.href).searchParams.get('v') || 'dev';
+const CACHE_PREFIX = 'armanleads-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${VERSION}`;
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime-${VERSION}`;
+
+const SHELL_URLS = ['/index.html', '/style.css', '/script.js', '/offline.html'];
+const OFFLINE_URL = '/offline.html';
+const SWR_PATHS = ['/', '/index.html', '/style.css', '/script.js'];
+// Feeds the page already checks for staleness; network first, cache when offline
+const RUNTIME_PATHS = ['/markets.json', '/availability.json'];
+// Never cached: it is how a running page learns about a release
+const VERSION_URL = '/version.json';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_URLS.map(url => new Request(url, { cache: 'reload' }))))
+    );
+});
+
+// Drop caches left by earlier versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== SHELL_CACHE && key !== RUNTIME_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page asks a waiting worker to take over once the visitor accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'al:skip-waiting') self.skipWaiting();
+});
+
+const shellKey = (pathname) => (pathname === '/' ? '/index.html' : pathname);
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
+
+// A deployed version other than this worker's means a release happened
+async function checkDeployedVersion() {
+    try {
+        const response = await fetch(VERSION_URL, { cache: 'no-store' });
+        if (!response.ok) return;
+        const { version } = await response.json();
+        if (version && String(version) !== VERSION) {
+            notifyClients({ type: 'al:update-available', version: String(version) });
+        }
+    } catch (error) { /* offline: check again on the next revalidation */ }
+}
+
+async function staleWhileRevalidate(event, key) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(key);
+    const network = fetch(event.request)
+        .then(response => {
+            if (response.ok && response.type === 'basic') {
+                cache.put(key, response.clone());
+                if (key === '/script.js') event.waitUntil(checkDeployedVersion());
+            }
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    try {
+        return await network;
+    } catch (error) {
+        if (event.request.mode === 'navigate') return cache.match(OFFLINE_URL);
+        throw error;
+    }
+}
+
+async function networkFirst(request, fallbackUrl) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok && response.type === 'basic') cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        if (fallbackUrl) {
+            const fallback = await caches.match(fallbackUrl);
+            if (fallback) return fallback;
+        }
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (SWR_PATHS.includes(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(event, shellKey(url.pathname)));
+    } else if (request.mode === 'navigate') {
+        // Market paths such as /omaha/chiropractic/ and any other page
+        event.respondWith(networkFirst(request, OFFLINE_URL));
+    } else if (RUNTIME_PATHS.includes(url.pathname)) {
+        event.respondWith(networkFirst(request));
+    }
+});